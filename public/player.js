@@ -1,3 +1,10 @@
+// Clip settings; the server enforces the same maximum length
+const CLIP_CONFIG = {
+    maxLength: 600,
+    defaultLength: 30,
+    recentLimit: 8
+};
+
 // Video position saving settings
 const VIDEO_POSITION_CONFIG = {
     saveInterval: 10,
@@ -6,6 +13,14 @@ const VIDEO_POSITION_CONFIG = {
     resumeThreshold: 60
 };
 
+// Chat replay buffering settings
+const CHAT_BUFFER_CONFIG = {
+    chunkSize: 30,
+    lookahead: 60,
+    seekBackfill: 15,
+    maxDelay: 60
+};
+
 // Clean up old saved positions
 function cleanupOldPositions() {
     const now = Date.now();
@@ -82,12 +97,307 @@ function autoResumeVideo(player, savedTime) {
     player.on('play', onFirstPlay);
 }
 
+// Archive search: title/description matching with typo tolerance
+const SEARCH_CONFIG = {
+    titleWeight: 2,
+    exactScore: 3,
+    prefixScore: 2,
+    typoScore: 1,
+    snippetLength: 140
+};
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function tokenizeSearchText(text) {
+    return (text || '').toLowerCase().split(/[^\p{L}\p{N}']+/u).filter(Boolean);
+}
+
+// Split a query into plain terms, "quoted phrases" and -excluded terms or phrases
+function parseSearchQuery(query) {
+    const parsed = { terms: [], phrases: [], excluded: [] };
+    const pattern = /(-?)"([^"]*)"?|(-?)(\S+)/g;
+    let match;
+    
+    while ((match = pattern.exec(query)) !== null) {
+        const isPhrase = match[2] !== undefined;
+        const negated = isPhrase ? match[1] === '-' : match[3] === '-';
+        const value = (isPhrase ? match[2] : match[4]).toLowerCase().trim();
+        if (!value) continue;
+        
+        if (negated) {
+            parsed.excluded.push(value);
+        } else if (isPhrase && value.includes(' ')) {
+            parsed.phrases.push(value);
+        } else {
+            parsed.terms.push(...tokenizeSearchText(value));
+        }
+    }
+    
+    return parsed;
+}
+
+// Levenshtein distance, giving up (returning max + 1) once it's clearly over max
+function getEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    
+    return previous[b.length];
+}
+
+// Short terms must match exactly or as a prefix; longer ones may contain a typo or two
+function getAllowedTypos(term) {
+    if (term.length >= 8) return 2;
+    if (term.length >= 4) return 1;
+    return 0;
+}
+
+// Best match for one term among a text's words: { score, word } or null
+function matchSearchTerm(term, words) {
+    const allowedTypos = getAllowedTypos(term);
+    let best = null;
+    
+    words.forEach(word => {
+        let score = 0;
+        if (word === term) {
+            score = SEARCH_CONFIG.exactScore;
+        } else if (word.startsWith(term)) {
+            score = SEARCH_CONFIG.prefixScore;
+        } else if (allowedTypos > 0 && getEditDistance(term, word, allowedTypos) <= allowedTypos) {
+            score = SEARCH_CONFIG.typoScore;
+        }
+        
+        if (score > 0 && (!best || score > best.score)) {
+            best = { score, word };
+        }
+    });
+    
+    return best;
+}
+
+// Score a video against a parsed query; null if it doesn't match.
+// Every term and phrase must be found in the title or description, and no excluded one may be.
+function scoreVideoSearch(video, parsedQuery) {
+    const title = (video.title || '').toLowerCase();
+    const description = (video.description || '').toLowerCase();
+    
+    if (parsedQuery.excluded.some(excluded => title.includes(excluded) || description.includes(excluded))) {
+        return null;
+    }
+    
+    const titleWords = tokenizeSearchText(title);
+    const descriptionWords = tokenizeSearchText(description);
+    const highlights = [];
+    let score = 0;
+    let descriptionMatched = false;
+    
+    for (const phrase of parsedQuery.phrases) {
+        const phraseScore = SEARCH_CONFIG.exactScore * phrase.split(' ').length;
+        if (title.includes(phrase)) {
+            score += phraseScore * SEARCH_CONFIG.titleWeight;
+        } else if (description.includes(phrase)) {
+            score += phraseScore;
+            descriptionMatched = true;
+        } else {
+            return null;
+        }
+        highlights.push(phrase);
+    }
+    
+    for (const term of parsedQuery.terms) {
+        const titleMatch = matchSearchTerm(term, titleWords);
+        const descriptionMatch = matchSearchTerm(term, descriptionWords);
+        if (!titleMatch && !descriptionMatch) {
+            return null;
+        }
+        
+        const titleScore = titleMatch ? titleMatch.score * SEARCH_CONFIG.titleWeight : 0;
+        const descriptionScore = descriptionMatch ? descriptionMatch.score : 0;
+        score += Math.max(titleScore, descriptionScore);
+        
+        if (titleMatch) highlights.push(titleMatch.word);
+        if (descriptionMatch) {
+            highlights.push(descriptionMatch.word);
+            descriptionMatched = true;
+        }
+    }
+    
+    return { score, highlights, descriptionMatched };
+}
+
+// Escape text for HTML, wrapping any of the highlight strings in <mark>
+function highlightText(text, highlights) {
+    const unique = [...new Set(highlights.filter(Boolean))].sort((a, b) => b.length - a.length);
+    if (unique.length === 0) return escapeHtml(text);
+    
+    const pattern = new RegExp(`(${unique.map(escapeRegExp).join('|')})`, 'gi');
+    return String(text).split(pattern).map((part, index) =>
+        index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+    ).join('');
+}
+
+// A window of the description around its first highlighted term
+function getDescriptionSnippet(description, highlights) {
+    const lower = description.toLowerCase();
+    const positions = highlights.map(h => lower.indexOf(h.toLowerCase())).filter(index => index >= 0);
+    const first = positions.length > 0 ? Math.min(...positions) : 0;
+    
+    const start = Math.max(0, first - SEARCH_CONFIG.snippetLength / 4);
+    const end = Math.min(description.length, start + SEARCH_CONFIG.snippetLength);
+    return `${start > 0 ? '…' : ''}${description.slice(start, end)}${end < description.length ? '…' : ''}`;
+}
+
+// Archive grid sort orders; "relevance" ranks fuzzy search matches and is otherwise newest first
+const VIDEO_SORTS = {
+    relevance: null,
+    newest: (a, b) => b.date - a.date,
+    oldest: (a, b) => a.date - b.date,
+    longest: (a, b) => compareVideoDurations(a, b, -1),
+    shortest: (a, b) => compareVideoDurations(a, b, 1),
+    title: (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true })
+};
+const DEFAULT_VIDEO_SORT = 'relevance';
+const DEFAULT_ITEMS_PER_PAGE = 25;
+
+// Filter changes closer together than this (e.g. typing) share one browser history entry
+const VIEW_STATE_HISTORY_DEBOUNCE = 1000;
+
+// Videos without a known duration sort last either way
+function compareVideoDurations(a, b, direction) {
+    if (!a.duration || !b.duration) {
+        return (a.duration ? -1 : 0) + (b.duration ? 1 : 0);
+    }
+    return (a.duration - b.duration) * direction;
+}
+
+// Local calendar day of a date as YYYY-MM-DD, matching how the date filter compares days
+function getLocalDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function formatHours(seconds) {
+    const hours = seconds / 3600;
+    return `${hours >= 10 ? Math.round(hours) : hours.toFixed(1)} hrs`;
+}
+
+// Quality selection for videos with more than one rendition
+const QUALITY_STORAGE_KEY = 'preferred_quality';
+
+function getQualityLabel(level) {
+    if (level.height) {
+        return `${level.height}p`;
+    }
+    return level.bitrate ? `${Math.round(level.bitrate / 1000)} kbps` : 'Source';
+}
+
+function getPreferredQuality() {
+    return localStorage.getItem(QUALITY_STORAGE_KEY) || 'auto';
+}
+
+function applyQualityPreference(qualityLevels) {
+    const preferred = getPreferredQuality();
+    const levels = Array.from({ length: qualityLevels.length }, (_, i) => qualityLevels[i]);
+    
+    // Fall back to adaptive playback if the preferred rendition doesn't exist for this video
+    const hasMatch = preferred !== 'auto' && levels.some(level => getQualityLabel(level) === preferred);
+    levels.forEach(level => {
+        level.enabled = !hasMatch || getQualityLabel(level) === preferred;
+    });
+}
+
+const VjsMenuButton = videojs.getComponent('MenuButton');
+const VjsMenuItem = videojs.getComponent('MenuItem');
+
+class QualityMenuItem extends VjsMenuItem {
+    constructor(player, options) {
+        super(player, { ...options, selectable: true });
+        this.quality = options.quality;
+    }
+
+    handleClick() {
+        localStorage.setItem(QUALITY_STORAGE_KEY, this.quality);
+        applyQualityPreference(this.player().qualityLevels());
+        this.player().trigger('qualitypreferencechange');
+    }
+}
+
+class QualityMenuButton extends VjsMenuButton {
+    constructor(player, options) {
+        super(player, options);
+        this.controlText('Quality');
+        this.on(player, 'qualitypreferencechange', () => this.update());
+    }
+
+    buildCSSClass() {
+        return `vjs-quality-button ${super.buildCSSClass()}`;
+    }
+
+    createItems() {
+        const qualityLevels = this.player().qualityLevels();
+        const levels = Array.from({ length: qualityLevels.length }, (_, i) => qualityLevels[i])
+            .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
+        const labels = [...new Set(levels.map(getQualityLabel))];
+        
+        // Nothing to choose between, so the button hides itself
+        if (labels.length < 2) {
+            return [];
+        }
+        
+        const preferred = getPreferredQuality();
+        const selected = labels.includes(preferred) ? preferred : 'auto';
+        
+        return ['auto', ...labels].map(quality => new QualityMenuItem(this.player(), {
+            label: quality === 'auto' ? 'Auto' : quality,
+            quality,
+            selected: quality === selected
+        }));
+    }
+}
+
+videojs.registerComponent('QualityMenuButton', QualityMenuButton);
+
 class VODArchive {
     constructor() {
         this.videos = [];
         this.filteredVideos = [];
         this.currentPage = 1;
-        this.itemsPerPage = 25;
+        this.itemsPerPage = DEFAULT_ITEMS_PER_PAGE;
+        this.searchResults = new Map(); // video id -> { score, highlights, descriptionMatched }
+        this.restoringViewState = false;
+        this.lastViewStateChange = 0;
+        
+        // Clips: in/out marks for a new clip, and the saved clip being played (if any)
+        this.clipIn = null;
+        this.clipOut = null;
+        this.activeClip = null;
+        
+        // Calendar view: month being shown and an in-progress drag selection { start, end }
+        this.calendarOpen = false;
+        this.calendarMonth = null;
+        this.calendarDays = null;
+        this.calendarDrag = null;
         this.currentVideo = null;
         this.player = null;
         this.saveTimer = null;
@@ -101,6 +411,14 @@ class VODArchive {
         this.chatTimecodes = new Set();
         this.lastChatTime = -1;
         this.chatSeekThreshold = 5;
+        this.chatTimecodesLoaded = false;
+        this.chatDensity = null;
+        
+        // Chat prefetch buffer: chunk start second -> messages sorted by offset
+        this.chatBuffer = new Map();
+        this.chatChunksLoading = new Set();
+        this.chatRenderedUpTo = 0;
+        this.chatDelay = parseInt(localStorage.getItem('chat_delay')) || 0;
         
         // Chat caching
         this.emoteCache = { firstParty: {}, thirdParty: {}, cheers: {} }; // Cache emote mappings
@@ -113,8 +431,8 @@ class VODArchive {
         await this.loadVideos();
         await this.loadEmoteMappings(); // Load emote mappings upfront
         this.setupEventListeners();
-        this.filterAndPaginate();
         this.checkURLForVideo();
+        this.loadRecentClips();
     }
 
     async loadEmoteMappings() {
@@ -164,23 +482,38 @@ class VODArchive {
     }
 
     setupEventListeners() {
+        this.setupCalendar();
+        this.setupClipControls();
+
         document.getElementById('titleFilter').addEventListener('input', () => {
             this.currentPage = 1;
             this.filterAndPaginate();
         });
 
-        ['fromMonth', 'fromDay', 'fromYear', 'toMonth', 'toDay', 'toYear'].forEach(id => {
+        document.getElementById('searchMode').addEventListener('change', () => {
+            this.updateSearchPlaceholder();
+            this.currentPage = 1;
+            this.filterAndPaginate();
+        });
+
+        ['fromMonth', 'fromDay', 'fromYear', 'toMonth', 'toDay', 'toYear', 'minDuration', 'maxDuration'].forEach(id => {
             document.getElementById(id).addEventListener('input', () => {
                 this.currentPage = 1;
                 this.filterAndPaginate();
             });
         });
 
+        document.getElementById('sortOrder').addEventListener('change', () => {
+            this.currentPage = 1;
+            this.filterAndPaginate();
+        });
+
         document.getElementById('clearFilters').addEventListener('click', () => {
             document.getElementById('titleFilter').value = '';
-            ['fromMonth', 'fromDay', 'fromYear', 'toMonth', 'toDay', 'toYear'].forEach(id => {
+            ['fromMonth', 'fromDay', 'fromYear', 'toMonth', 'toDay', 'toYear', 'minDuration', 'maxDuration'].forEach(id => {
                 document.getElementById(id).value = '';
             });
+            document.getElementById('sortOrder').value = DEFAULT_VIDEO_SORT;
             this.currentPage = 1;
             this.filterAndPaginate();
         });
@@ -247,10 +580,33 @@ class VODArchive {
             this.scrollToTop();
         });
         
+        document.getElementById('chatSearchBtn').addEventListener('click', () => {
+            this.searchChat();
+        });
+
+        document.getElementById('chatSearchInput').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.searchChat();
+            }
+        });
+        
         document.getElementById('chatClose').addEventListener('click', () => {
             this.closeChat();
         });
 
+        const chatDelayInput = document.getElementById('chatDelayInput');
+        chatDelayInput.value = this.chatDelay;
+        chatDelayInput.addEventListener('change', (e) => {
+            const delay = Math.max(0, Math.min(CHAT_BUFFER_CONFIG.maxDelay, parseInt(e.target.value) || 0));
+            e.target.value = delay;
+            this.chatDelay = delay;
+            localStorage.setItem('chat_delay', delay);
+            
+            if (this.player && this.currentVideo) {
+                this.resetChatReplay(this.currentVideo.id, this.player.currentTime());
+            }
+        });
+
         window.addEventListener('resize', () => {
             this.updatePagination();
             // Sync chat sidebar height on resize
@@ -265,14 +621,113 @@ class VODArchive {
         });
     }
 
+    async searchChat() {
+        const query = document.getElementById('chatSearchInput').value.trim();
+        const resultsContainer = document.getElementById('chatSearchResults');
+        
+        if (!query) {
+            resultsContainer.style.display = 'none';
+            resultsContainer.innerHTML = '';
+            return;
+        }
+        
+        resultsContainer.style.display = 'block';
+        resultsContainer.innerHTML = '<div class="loading">Searching chat...</div>';
+        
+        try {
+            const response = await fetch(`/api/search/chat?q=${encodeURIComponent(query)}`);
+            const data = await response.json();
+            
+            if (!response.ok) {
+                resultsContainer.innerHTML = `<div class="chat-no-messages">${data.error || 'Chat search failed'}</div>`;
+                return;
+            }
+            
+            this.renderChatSearchResults(data);
+        } catch (error) {
+            console.error('Failed to search chat:', error);
+            resultsContainer.innerHTML = '<div class="chat-no-messages">Chat search failed. Please try again later.</div>';
+        }
+    }
+
+    renderChatSearchResults(data) {
+        const resultsContainer = document.getElementById('chatSearchResults');
+        resultsContainer.innerHTML = '';
+        
+        const header = document.createElement('div');
+        header.className = 'chat-search-header';
+        const shown = data.results.length < data.total ? ` (showing ${data.results.length})` : '';
+        const coverage = data.indexedVideos < data.totalVideos ? ` • ${data.indexedVideos} of ${data.totalVideos} videos indexed` : '';
+        header.textContent = `${data.total} chat matches for "${data.query}"${shown}${coverage}`;
+        
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'chat-close';
+        closeBtn.textContent = '×';
+        closeBtn.addEventListener('click', () => {
+            resultsContainer.style.display = 'none';
+            resultsContainer.innerHTML = '';
+        });
+        header.appendChild(closeBtn);
+        resultsContainer.appendChild(header);
+        
+        data.results.forEach(result => {
+            const item = document.createElement('div');
+            item.className = 'chat-search-result';
+            item.addEventListener('click', () => this.loadVideoAt(result.videoId, result.time));
+            
+            const videoInfo = document.createElement('div');
+            videoInfo.className = 'chat-search-video';
+            const date = new Date(result.date).toLocaleDateString('en-US', { 
+                year: 'numeric', 
+                month: 'long', 
+                day: 'numeric' 
+            });
+            videoInfo.textContent = `${result.title} • ${date}`;
+            item.appendChild(videoInfo);
+            
+            const message = document.createElement('div');
+            message.className = 'chat-message';
+            
+            const timestamp = document.createElement('span');
+            timestamp.className = 'chat-timestamp';
+            timestamp.textContent = formatTime(result.time);
+            message.appendChild(timestamp);
+            
+            const username = document.createElement('span');
+            username.className = 'chat-username';
+            username.textContent = result.user;
+            message.appendChild(username);
+            
+            const colon = document.createElement('span');
+            colon.className = 'colon';
+            colon.textContent = ': ';
+            message.appendChild(colon);
+            
+            const text = document.createElement('span');
+            text.className = 'chat-text';
+            text.textContent = result.text;
+            message.appendChild(text);
+            
+            item.appendChild(message);
+            resultsContainer.appendChild(item);
+        });
+    }
+
     filterVideos() {
         const titleFilter = document.getElementById('titleFilter').value.toLowerCase();
+        const parsedQuery = document.getElementById('searchMode').value === 'fuzzy'
+            ? parseSearchQuery(titleFilter)
+            : null;
         const fromMonth = document.getElementById('fromMonth').value;
         const fromDay = document.getElementById('fromDay').value;
         const fromYear = document.getElementById('fromYear').value;
         const toMonth = document.getElementById('toMonth').value;
         const toDay = document.getElementById('toDay').value;
         const toYear = document.getElementById('toYear').value;
+        const minHours = parseFloat(document.getElementById('minDuration').value);
+        const maxHours = parseFloat(document.getElementById('maxDuration').value);
+        const minDuration = minHours > 0 ? minHours * 3600 : null;
+        const maxDuration = maxHours > 0 ? maxHours * 3600 : null;
 
         let fromDate = null;
         let toDate = null;
@@ -286,9 +741,19 @@ class VODArchive {
             toDate.setHours(23, 59, 59, 999);
         }
 
+        this.searchResults = new Map();
         this.filteredVideos = this.videos.filter(video => {
-            if (titleFilter && !video.title.toLowerCase().includes(titleFilter)) {
-                return false;
+            if (parsedQuery) {
+                const match = scoreVideoSearch(video, parsedQuery);
+                if (!match) {
+                    return false;
+                }
+                this.searchResults.set(video.id, match);
+            } else if (titleFilter) {
+                if (!video.title.toLowerCase().includes(titleFilter)) {
+                    return false;
+                }
+                this.searchResults.set(video.id, { score: 0, highlights: [titleFilter], descriptionMatched: false });
             }
 
             if (fromDate && video.date < fromDate) {
@@ -298,14 +763,303 @@ class VODArchive {
                 return false;
             }
 
+            // A length filter can't vouch for videos whose duration is still unknown
+            if ((minDuration !== null || maxDuration !== null) && !video.duration) {
+                return false;
+            }
+            if (minDuration !== null && video.duration < minDuration) {
+                return false;
+            }
+            if (maxDuration !== null && video.duration > maxDuration) {
+                return false;
+            }
+
             return true;
         });
+
+        const sort = document.getElementById('sortOrder').value;
+        if (sort !== 'relevance') {
+            this.filteredVideos.sort(VIDEO_SORTS[sort]);
+        } else if (parsedQuery && (parsedQuery.terms.length > 0 || parsedQuery.phrases.length > 0)) {
+            // Best matches first; the sort is stable, so equal scores stay newest first
+            this.filteredVideos.sort((a, b) => this.searchResults.get(b.id).score - this.searchResults.get(a.id).score);
+        }
+    }
+
+    updateSearchPlaceholder() {
+        document.getElementById('titleFilter').placeholder = document.getElementById('searchMode').value === 'fuzzy'
+            ? 'Search titles and descriptions ("exact phrase", -exclude)...'
+            : 'Filter by title...';
+    }
+
+    // The archive view as query parameters, leaving out anything at its default
+    getViewState() {
+        const value = id => document.getElementById(id).value.trim();
+        const formatDate = prefix => {
+            const [year, month, day] = [value(`${prefix}Year`), value(`${prefix}Month`), value(`${prefix}Day`)];
+            return year && month && day ? `${year.padStart(4, '0')}-${month.padStart(2, '0')}-${day.padStart(2, '0')}` : '';
+        };
+        
+        return {
+            q: document.getElementById('titleFilter').value,
+            mode: value('searchMode') !== 'title' ? value('searchMode') : '',
+            from: formatDate('from'),
+            to: formatDate('to'),
+            minHours: value('minDuration'),
+            maxHours: value('maxDuration'),
+            sort: value('sortOrder') !== DEFAULT_VIDEO_SORT ? value('sortOrder') : '',
+            page: this.currentPage > 1 ? String(this.currentPage) : '',
+            perPage: this.itemsPerPage !== DEFAULT_ITEMS_PER_PAGE ? String(this.itemsPerPage) : ''
+        };
+    }
+
+    restoreViewStateFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        
+        document.getElementById('titleFilter').value = params.get('q') || '';
+        document.getElementById('searchMode').value = params.get('mode') === 'fuzzy' ? 'fuzzy' : 'title';
+        this.updateSearchPlaceholder();
+        
+        ['from', 'to'].forEach(prefix => {
+            const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(params.get(prefix) || '');
+            document.getElementById(`${prefix}Year`).value = match ? match[1] : '';
+            document.getElementById(`${prefix}Month`).value = match ? match[2] : '';
+            document.getElementById(`${prefix}Day`).value = match ? match[3] : '';
+        });
+        
+        const sort = params.get('sort');
+        document.getElementById('sortOrder').value = Object.prototype.hasOwnProperty.call(VIDEO_SORTS, sort) ? sort : DEFAULT_VIDEO_SORT;
+        document.getElementById('minDuration').value = parseFloat(params.get('minHours')) > 0 ? params.get('minHours') : '';
+        document.getElementById('maxDuration').value = parseFloat(params.get('maxHours')) > 0 ? params.get('maxHours') : '';
+        
+        const perPageSelect = document.getElementById('itemsPerPage');
+        const perPage = params.get('perPage');
+        const isValidPerPage = Array.from(perPageSelect.options).some(option => option.value === perPage);
+        this.itemsPerPage = isValidPerPage ? parseInt(perPage) : DEFAULT_ITEMS_PER_PAGE;
+        perPageSelect.value = this.itemsPerPage;
+        document.getElementById('bottomItemsPerPage').value = this.itemsPerPage;
+        
+        this.currentPage = Math.max(1, parseInt(params.get('page')) || 1);
+    }
+
+    // Mirror the archive view into the query string. A change after a pause gets its own history
+    // entry so back/forward step through filters and pages; quick successive changes replace it.
+    saveViewStateToURL() {
+        if (this.restoringViewState) return;
+        
+        const params = new URLSearchParams();
+        Object.entries(this.getViewState()).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            }
+        });
+        
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+        
+        const now = Date.now();
+        if (now - this.lastViewStateChange > VIEW_STATE_HISTORY_DEBOUNCE) {
+            history.pushState(history.state, '', url);
+        } else {
+            history.replaceState(history.state, '', url);
+        }
+        this.lastViewStateChange = now;
+    }
+
+    renderVideoItemTitle(video) {
+        const match = this.searchResults.get(video.id);
+        return highlightText(video.title, match ? match.highlights : []);
+    }
+
+    renderVideoItemSnippet(video) {
+        const match = this.searchResults.get(video.id);
+        if (!match || !match.descriptionMatched || !video.description) return '';
+        
+        const snippet = getDescriptionSnippet(video.description, match.highlights);
+        return `<div class="video-item-snippet">${highlightText(snippet, match.highlights)}</div>`;
     }
 
     filterAndPaginate() {
         this.filterVideos();
+        
+        // A restored or shared page number may be past the end of the filtered list
+        const totalPages = Math.max(1, Math.ceil(this.filteredVideos.length / this.itemsPerPage));
+        this.currentPage = Math.min(this.currentPage, totalPages);
+        
+        this.saveViewStateToURL();
         this.updatePagination();
         this.renderVideos();
+        
+        if (this.calendarOpen) {
+            this.renderCalendar();
+        }
+    }
+
+    setupCalendar() {
+        const calendar = document.getElementById('archiveCalendar');
+        
+        document.getElementById('calendarToggle').addEventListener('click', () => {
+            this.calendarOpen = !this.calendarOpen;
+            calendar.style.display = this.calendarOpen ? 'block' : 'none';
+            if (this.calendarOpen) {
+                this.renderCalendar();
+            }
+        });
+        
+        calendar.addEventListener('click', (e) => {
+            const nav = e.target.closest('[data-month-step]');
+            const month = e.target.closest('[data-month]');
+            if (nav) {
+                this.calendarMonth.setMonth(this.calendarMonth.getMonth() + parseInt(nav.dataset.monthStep));
+                this.renderCalendar();
+            } else if (month) {
+                this.calendarMonth.setMonth(parseInt(month.dataset.month));
+                this.renderCalendar();
+            }
+        });
+        
+        // Press on a day and drag to select a range; a plain click selects just that day
+        calendar.addEventListener('pointerdown', (e) => {
+            const day = e.target.closest('.calendar-day[data-date]');
+            if (!day) return;
+            
+            e.preventDefault();
+            this.calendarDrag = { start: day.dataset.date, end: day.dataset.date };
+            this.highlightCalendarDrag();
+        });
+        
+        calendar.addEventListener('pointermove', (e) => {
+            if (!this.calendarDrag) return;
+            
+            // Touch pointers stay captured by the first day, so find the day under the finger instead
+            const element = document.elementFromPoint(e.clientX, e.clientY);
+            const day = element && element.closest('.calendar-day[data-date]');
+            if (day && day.dataset.date !== this.calendarDrag.end) {
+                this.calendarDrag.end = day.dataset.date;
+                this.highlightCalendarDrag();
+            }
+        });
+        
+        window.addEventListener('pointerup', () => {
+            if (!this.calendarDrag) return;
+            
+            const [from, to] = [this.calendarDrag.start, this.calendarDrag.end].sort();
+            this.calendarDrag = null;
+            this.applyCalendarRange(from, to);
+        });
+    }
+
+    // Streams per local day: YYYY-MM-DD -> { count, seconds, titles }
+    getCalendarDays() {
+        if (this.calendarDays) return this.calendarDays;
+        
+        this.calendarDays = new Map();
+        this.videos.forEach(video => {
+            const key = getLocalDateKey(video.date);
+            const day = this.calendarDays.get(key) || { count: 0, seconds: 0, titles: [] };
+            day.count++;
+            day.seconds += video.duration || 0;
+            day.titles.push(video.title);
+            this.calendarDays.set(key, day);
+        });
+        return this.calendarDays;
+    }
+
+    getMonthStats(year, month) {
+        const prefix = `${year}-${String(month + 1).padStart(2, '0')}-`;
+        const stats = { count: 0, seconds: 0 };
+        this.getCalendarDays().forEach((day, key) => {
+            if (key.startsWith(prefix)) {
+                stats.count += day.count;
+                stats.seconds += day.seconds;
+            }
+        });
+        return stats;
+    }
+
+    renderCalendar() {
+        const { from, to } = this.getViewState();
+        
+        // Open on the filtered range, else the newest stream
+        if (!this.calendarMonth) {
+            const start = from ? new Date(`${from}T00:00:00`) : (this.videos[0] ? this.videos[0].date : new Date());
+            this.calendarMonth = new Date(start.getFullYear(), start.getMonth(), 1);
+        }
+        
+        const year = this.calendarMonth.getFullYear();
+        const month = this.calendarMonth.getMonth();
+        const days = this.getCalendarDays();
+        const monthStats = this.getMonthStats(year, month);
+        const monthName = this.calendarMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+        
+        const monthChips = Array.from({ length: 12 }, (_, index) => {
+            const stats = this.getMonthStats(year, index);
+            const label = new Date(year, index, 1).toLocaleDateString('en-US', { month: 'short' });
+            const classes = ['calendar-month', stats.count > 0 ? 'has-streams' : '', index === month ? 'current' : ''].filter(Boolean).join(' ');
+            return `
+                <div class="${classes}" data-month="${index}" title="${stats.count} streams • ${formatHours(stats.seconds)}">
+                    ${label}<span class="calendar-month-count">${stats.count || '–'}</span>
+                </div>
+            `;
+        }).join('');
+        
+        const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+            .map(name => `<div class="calendar-weekday">${name}</div>`).join('');
+        const leadingBlanks = '<div></div>'.repeat(new Date(year, month, 1).getDay());
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        
+        const dayCells = Array.from({ length: daysInMonth }, (_, index) => {
+            const key = getLocalDateKey(new Date(year, month, index + 1));
+            const day = days.get(key);
+            const inRange = (from || to) && (!from || key >= from) && (!to || key <= to);
+            const classes = [
+                'calendar-day',
+                day ? `has-streams level-${Math.min(day.count, 3)}` : '',
+                inRange ? 'in-range' : ''
+            ].filter(Boolean).join(' ');
+            const title = day ? `${day.titles.join('\n')}\n${formatHours(day.seconds)}` : '';
+            
+            return `
+                <div class="${classes}" data-date="${key}" title="${escapeHtml(title)}">
+                    ${index + 1}${day ? `<span class="calendar-day-count">${day.count}</span>` : ''}
+                </div>
+            `;
+        }).join('');
+        
+        document.getElementById('archiveCalendar').innerHTML = `
+            <div class="calendar-header">
+                <button class="calendar-nav" data-month-step="-1" title="Previous month">‹</button>
+                <div class="calendar-title">
+                    ${monthName}
+                    <span class="calendar-summary">${monthStats.count} streams • ${formatHours(monthStats.seconds)}</span>
+                </div>
+                <button class="calendar-nav" data-month-step="1" title="Next month">›</button>
+            </div>
+            <div class="calendar-months">${monthChips}</div>
+            <div class="calendar-grid">${weekdays}${leadingBlanks}${dayCells}</div>
+            <div class="calendar-hint">Click a day or drag across days to filter the archive</div>
+        `;
+    }
+
+    highlightCalendarDrag() {
+        const [start, end] = [this.calendarDrag.start, this.calendarDrag.end].sort();
+        document.querySelectorAll('#archiveCalendar .calendar-day[data-date]').forEach(day => {
+            day.classList.toggle('in-drag', day.dataset.date >= start && day.dataset.date <= end);
+        });
+    }
+
+    // Fill the From/To date boxes with a YYYY-MM-DD range and refilter
+    applyCalendarRange(from, to) {
+        [['from', from], ['to', to]].forEach(([prefix, key]) => {
+            const [year, month, day] = key.split('-');
+            document.getElementById(`${prefix}Year`).value = year;
+            document.getElementById(`${prefix}Month`).value = month;
+            document.getElementById(`${prefix}Day`).value = day;
+        });
+        
+        this.currentPage = 1;
+        this.filterAndPaginate();
     }
 
     updatePagination() {
@@ -359,7 +1113,7 @@ class VODArchive {
                         ${hasResume ? `<div class="resume-overlay">⏸ ${formatTime(savedPosition.time)}</div>` : ''}
                     </div>
                     <div class="video-info">
-                        <div class="video-item-title">${video.title}</div>
+                        <div class="video-item-title">${this.renderVideoItemTitle(video)}</div>
                         <div class="video-item-date">
                             ${video.date.toLocaleDateString('en-US', { 
                                 year: 'numeric', 
@@ -367,6 +1121,7 @@ class VODArchive {
                                 day: 'numeric' 
                             })}${video.duration ? ` • ${formatTime(video.duration)}` : ''}
                         </div>
+                        ${this.renderVideoItemSnippet(video)}
                     </div>
                 </div>
             `;
@@ -420,7 +1175,7 @@ class VODArchive {
                         ${hasResume ? `<div class="resume-overlay">⏸ ${formatTime(savedPosition.time)}</div>` : ''}
                     </div>
                     <div class="video-info">
-                        <div class="video-item-title">${video.title}</div>
+                        <div class="video-item-title">${this.renderVideoItemTitle(video)}</div>
                         <div class="video-item-date">
                             ${video.date.toLocaleDateString('en-US', { 
                                 year: 'numeric', 
@@ -428,6 +1183,7 @@ class VODArchive {
                                 day: 'numeric' 
                             })}${video.duration ? ` • ${formatTime(video.duration)}` : ''}
                         </div>
+                        ${this.renderVideoItemSnippet(video)}
                     </div>
                 `;
                 grid.appendChild(item);
@@ -449,6 +1205,14 @@ class VODArchive {
                     overlay.remove();
                 }
                 
+                // Cached items keep their markup, so refresh highlights for the current search
+                item.querySelector('.video-item-title').innerHTML = this.renderVideoItemTitle(video);
+                const oldSnippet = item.querySelector('.video-item-snippet');
+                if (oldSnippet) {
+                    oldSnippet.remove();
+                }
+                item.querySelector('.video-info').insertAdjacentHTML('beforeend', this.renderVideoItemSnippet(video));
+                
                 this.itemAccessTimes.set(video.id, now);
             }
             
@@ -456,9 +1220,10 @@ class VODArchive {
         });
     }
 
-    async loadVideo(videoId) {
+    // Resolves false if the video isn't in the archive list, leaving the current one playing
+    async loadVideo(videoId, { updateHistory = true } = {}) {
         const video = this.videos.find(v => v.id === videoId);
-        if (!video) return;
+        if (!video) return false;
 
         this.currentVideo = video;
         this.hasResumed = false;
@@ -469,7 +1234,16 @@ class VODArchive {
             this.saveTimer = null;
         }
 
-        history.pushState({ videoId }, video.title, `#${videoId}`);
+        if (updateHistory) {
+            history.pushState({ videoId }, video.title, `#${videoId}`);
+        }
+        
+        this.activeClip = null;
+        this.clipIn = null;
+        this.clipOut = null;
+        this.updateClipControls();
+        document.getElementById('clipBanner').style.display = 'none';
+        document.getElementById('clipShare').style.display = 'none';
         document.title = `Macaw45 VOD Archive: ${video.title}`;
 
         document.getElementById('videoTitle').textContent = video.title;
@@ -527,6 +1301,7 @@ class VODArchive {
             aspectRatio: '16:9'
         });
 
+        this.setupQualityMenu(this.player);
         this.setupSeekOptimization(this.player, videoId);
         this.setupVideoPositionTracking(videoId);
         this.setupVideoTimeTracking(this.player, videoId);
@@ -602,13 +1377,21 @@ class VODArchive {
                             this.player.requestFullscreen();
                         }
                         break;
+                    case 'KeyI':
+                        e.preventDefault();
+                        this.markClipIn();
+                        break;
+                    case 'KeyO':
+                        e.preventDefault();
+                        this.markClipOut();
+                        break;
                 }
             });
         });
 
         this.player.ready(() => {
             this.player.src({
-                src: `/api/video/${videoId}`,
+                src: `/api/master/${videoId}`,
                 type: 'application/x-mpegURL'
             });
             
@@ -617,7 +1400,13 @@ class VODArchive {
         });
 
         // Always load chat timecodes when video loads
+        this.chatBuffer.clear();
+        this.chatChunksLoading.clear();
+        this.chatRenderedUpTo = 0;
+        document.getElementById('chatMessages').innerHTML = '';
         this.loadChatTimecodes(videoId);
+        this.loadChatDensity(videoId);
+        this.loadChatHighlights(videoId);
 
         // Create chat toggle button if no start over button exists
         if (!this.startOverBtn) {
@@ -628,6 +1417,25 @@ class VODArchive {
         document.querySelector('.video-section').scrollIntoView({ behavior: 'smooth' });
         
         this.renderVideos();
+        return true;
+    }
+
+    setupQualityMenu(player) {
+        if (typeof player.qualityLevels !== 'function') return;
+        
+        const qualityLevels = player.qualityLevels();
+        const controlBar = player.getChild('ControlBar');
+        const fullscreenIndex = controlBar.children().indexOf(controlBar.getChild('FullscreenToggle'));
+        const qualityButton = controlBar.addChild(
+            'QualityMenuButton',
+            {},
+            fullscreenIndex >= 0 ? fullscreenIndex : controlBar.children().length
+        );
+        
+        qualityLevels.on('addqualitylevel', () => {
+            applyQualityPreference(qualityLevels);
+            qualityButton.update();
+        });
     }
 
     setupSeekOptimization(player, videoId) {
@@ -890,50 +1698,420 @@ class VODArchive {
 
     setupVideoTimeTracking(player, videoId) {
         let hasStartedPlaying = false;
-        let lastDisplayedSecond = -1;
         
         player.on('play', () => {
             hasStartedPlaying = true;
+            
+            // Replaying a clip that stopped at its out point starts it over
+            if (this.activeClip && player.currentTime() >= this.activeClip.end - 0.5) {
+                player.currentTime(this.activeClip.start);
+            }
+        });
+        
+        player.on('durationchange', () => {
+            this.updateClipMarkers();
+            this.updateChatHeatmap();
         });
         
         player.on('timeupdate', () => {
-            const currentTime = Math.floor(player.currentTime());
+            const time = player.currentTime();
+            const currentTime = Math.floor(time);
+            
+            this.enforceClipRange(player, time);
             
-            if (currentTime !== this.lastChatTime && currentTime > 0) {
+            // A playing clip keeps its own link in the hash rather than the current time
+            if (currentTime !== this.lastChatTime && currentTime > 0 && !this.activeClip) {
                 history.replaceState({}, '', `#${videoId}?t=${currentTime}`);
-                
-                // Load and display messages for this second if we haven't already
-                if (hasStartedPlaying && currentTime !== lastDisplayedSecond) {
-                    this.loadAndDisplayChatForSecond(videoId, currentTime);
-                    lastDisplayedSecond = currentTime;
-                }
-                
                 this.lastChatTime = currentTime;
             }
+            
+            if (hasStartedPlaying) {
+                this.updateChatReplay(videoId, time);
+            }
         });
         
         player.on('seeked', () => {
-            const currentTime = Math.floor(player.currentTime());
             if (hasStartedPlaying) {
-                // Clear chat and load messages for the new position
-                const chatMessages = document.getElementById('chatMessages');
-                chatMessages.innerHTML = '';
-                this.loadAndDisplayChatForSecond(videoId, currentTime);
-                lastDisplayedSecond = currentTime;
+                this.resetChatReplay(videoId, player.currentTime());
+            }
+        });
+    }
+
+    setupClipControls() {
+        document.getElementById('clipMarkIn').addEventListener('click', () => this.markClipIn());
+        document.getElementById('clipMarkOut').addEventListener('click', () => this.markClipOut());
+        document.getElementById('clipSave').addEventListener('click', () => this.saveClip());
+        document.getElementById('clipExit').addEventListener('click', () => this.exitClip());
+        
+        document.getElementById('clipCopy').addEventListener('click', async () => {
+            const input = document.getElementById('clipShareUrl');
+            try {
+                await navigator.clipboard.writeText(input.value);
+            } catch (error) {
+                // Clipboard API needs a secure context; fall back to leaving the link selected
+                input.select();
             }
         });
+        
+        const loopInput = document.getElementById('clipLoop');
+        loopInput.checked = localStorage.getItem('clip_loop') === 'true';
+        loopInput.addEventListener('change', () => {
+            localStorage.setItem('clip_loop', loopInput.checked);
+        });
+    }
+
+    markClipIn() {
+        if (!this.player || this.activeClip) return;
+        
+        this.clipIn = this.player.currentTime();
+        if (this.clipOut !== null && this.clipOut <= this.clipIn) {
+            this.clipOut = null;
+        }
+        this.updateClipControls();
     }
 
-    async loadAndDisplayChatForSecond(videoId, currentTime) {
+    markClipOut() {
+        if (!this.player || this.activeClip) return;
+        
+        this.clipOut = this.player.currentTime();
+        if (this.clipIn === null || this.clipIn >= this.clipOut) {
+            this.clipIn = Math.max(0, this.clipOut - CLIP_CONFIG.defaultLength);
+        }
+        this.updateClipControls();
+    }
+
+    updateClipControls() {
+        const rangeText = document.getElementById('clipRange');
+        const saveButton = document.getElementById('clipSave');
+        const length = this.clipIn !== null && this.clipOut !== null ? this.clipOut - this.clipIn : null;
+        
+        if (this.clipIn === null) {
+            rangeText.textContent = 'Mark in and out points to make a clip';
+        } else if (length === null) {
+            rangeText.textContent = `In ${formatTime(this.clipIn)} → mark out`;
+        } else {
+            const tooLong = length > CLIP_CONFIG.maxLength ? ` (max ${formatTime(CLIP_CONFIG.maxLength)})` : '';
+            rangeText.textContent = `${formatTime(this.clipIn)} → ${formatTime(this.clipOut)} (${formatTime(length)})${tooLong}`;
+        }
+        
+        saveButton.disabled = length === null || length <= 0 || length > CLIP_CONFIG.maxLength;
+        this.updateClipMarkers();
+    }
+
+    // Shade the marked or playing clip range on the progress bar
+    updateClipMarkers() {
+        if (!this.player) return;
+        
+        const holder = this.player.el().querySelector('.vjs-progress-holder');
+        if (!holder) return;
+        
+        let marker = holder.querySelector('.vjs-clip-range');
+        const duration = this.player.duration();
+        const range = this.activeClip
+            ? { start: this.activeClip.start, end: this.activeClip.end }
+            : this.clipIn !== null ? { start: this.clipIn, end: this.clipOut !== null ? this.clipOut : this.clipIn } : null;
+        
+        if (!range || !duration || !isFinite(duration)) {
+            if (marker) marker.remove();
+            return;
+        }
+        
+        if (!marker) {
+            marker = document.createElement('div');
+            marker.className = 'vjs-clip-range';
+            holder.appendChild(marker);
+        }
+        marker.style.left = `${(range.start / duration) * 100}%`;
+        marker.style.width = `${Math.max(0.3, ((range.end - range.start) / duration) * 100)}%`;
+    }
+
+    async saveClip() {
+        if (!this.currentVideo || this.clipIn === null || this.clipOut === null) return;
+        
+        const saveButton = document.getElementById('clipSave');
+        saveButton.disabled = true;
+        
         try {
-            const response = await fetch(`/api/chat/${videoId}/${currentTime}/${currentTime}`);
+            const response = await fetch('/api/clips', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    videoId: this.currentVideo.id,
+                    start: this.clipIn,
+                    end: this.clipOut,
+                    title: document.getElementById('clipTitleInput').value
+                })
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                document.getElementById('clipRange').textContent = data.error || 'Failed to save clip';
+                saveButton.disabled = false;
+                return;
+            }
+            
+            document.getElementById('clipShareUrl').value = this.getClipURL(data);
+            document.getElementById('clipShare').style.display = 'flex';
+            document.getElementById('clipTitleInput').value = '';
+            this.clipIn = null;
+            this.clipOut = null;
+            this.updateClipControls();
+            this.loadRecentClips();
+        } catch (error) {
+            console.error('Failed to save clip:', error);
+            document.getElementById('clipRange').textContent = 'Failed to save clip. Please try again.';
+            saveButton.disabled = false;
+        }
+    }
+
+    getClipURL(clip) {
+        return `${window.location.origin}${window.location.pathname}#${clip.videoId}?clip=${clip.id}`;
+    }
+
+    async playClipById(clipId, { updateHistory = true } = {}) {
+        try {
+            const response = await fetch(`/api/clips/${encodeURIComponent(clipId)}`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            await this.playClip(await response.json(), { updateHistory });
+        } catch (error) {
+            console.error('Failed to load clip:', error);
+            // Fall back to the full video the link pointed at
+            const videoId = window.location.hash.slice(1).split('?')[0];
+            if (videoId) {
+                this.loadVideo(videoId, { updateHistory: false });
+            }
+        }
+    }
+
+    async playClip(clip, { updateHistory = true } = {}) {
+        // Don't seek whatever was playing before to a clip of a different video
+        if (!(await this.loadVideo(clip.videoId, { updateHistory: false }))) {
+            console.warn(`Clip ${clip.id} is of a video that isn't in the archive: ${clip.videoId}`);
+            return;
+        }
+        if (!this.player) return;
+        
+        if (updateHistory) {
+            history.pushState({ videoId: clip.videoId }, clip.title, `#${clip.videoId}?clip=${clip.id}`);
+        }
+        
+        // Saved positions would otherwise win over the clip's in point
+        this.activeClip = clip;
+        this.shouldResume = false;
+        this.player.ready(() => {
+            this.player.currentTime(clip.start);
+        });
+        
+        document.getElementById('clipBannerText').textContent = `Clip: ${clip.title} (${formatTime(clip.start)} – ${formatTime(clip.end)})`;
+        document.getElementById('clipDownload').href = `/api/clips/${encodeURIComponent(clip.id)}/download`;
+        document.getElementById('clipChat').href = `/api/clips/${encodeURIComponent(clip.id)}/chat.html`;
+        document.getElementById('clipBanner').style.display = 'flex';
+        this.updateClipControls();
+    }
+
+    exitClip() {
+        if (!this.activeClip) return;
+        
+        this.activeClip = null;
+        document.getElementById('clipBanner').style.display = 'none';
+        this.updateClipMarkers();
+        
+        if (this.player && this.currentVideo) {
+            history.replaceState({ videoId: this.currentVideo.id }, '', `#${this.currentVideo.id}?t=${Math.floor(this.player.currentTime())}`);
+        }
+    }
+
+    // Keep playback of a clip inside its range, looping or stopping at the out point
+    enforceClipRange(player, time) {
+        const clip = this.activeClip;
+        if (!clip || player.isResuming) return;
+        
+        if (time >= clip.end) {
+            if (document.getElementById('clipLoop').checked) {
+                player.currentTime(clip.start);
+            } else if (!player.paused()) {
+                player.pause();
+            }
+        } else if (time < clip.start - 0.5) {
+            player.currentTime(clip.start);
+        }
+    }
+
+    async loadRecentClips() {
+        try {
+            const response = await fetch(`/api/clips?limit=${CLIP_CONFIG.recentLimit}`);
+            if (!response.ok) return;
+            
+            const data = await response.json();
+            this.renderRecentClips(data.clips);
+        } catch (error) {
+            console.error('Failed to load recent clips:', error);
+        }
+    }
+
+    renderRecentClips(clips) {
+        const container = document.getElementById('recentClips');
+        container.innerHTML = '';
+        container.style.display = clips.length > 0 ? 'block' : 'none';
+        
+        const header = document.createElement('div');
+        header.className = 'recent-clips-header';
+        header.textContent = 'Recent Clips';
+        container.appendChild(header);
+        
+        clips.forEach(clip => {
+            const item = document.createElement('div');
+            item.className = 'recent-clip';
+            item.addEventListener('click', () => this.playClip(clip));
+            
+            const info = document.createElement('div');
+            const title = document.createElement('div');
+            title.className = 'recent-clip-title';
+            title.textContent = clip.title;
+            info.appendChild(title);
+            
+            if (clip.videoTitle) {
+                const video = document.createElement('div');
+                video.className = 'recent-clip-video';
+                video.textContent = `${clip.videoTitle} • ${new Date(clip.videoDate).toLocaleDateString('en-US', {
+                    year: 'numeric',
+                    month: 'long',
+                    day: 'numeric'
+                })}`;
+                info.appendChild(video);
+            }
+            item.appendChild(info);
+            
+            const range = document.createElement('div');
+            range.className = 'recent-clip-range';
+            range.textContent = `${formatTime(clip.start)} – ${formatTime(clip.end)}`;
+            item.appendChild(range);
+            
+            container.appendChild(item);
+        });
+    }
+
+    getChatTime(videoTime) {
+        return Math.max(0, videoTime - this.chatDelay);
+    }
+
+    resetChatReplay(videoId, videoTime) {
+        // Clear chat and backfill a few seconds so the panel isn't blank after a seek
+        document.getElementById('chatMessages').innerHTML = '';
+        const chatTime = this.getChatTime(videoTime);
+        this.chatRenderedUpTo = Math.max(0, chatTime - CHAT_BUFFER_CONFIG.seekBackfill);
+        this.ensureChatBuffered(videoId, chatTime);
+        this.renderBufferedChat(chatTime);
+    }
+
+    updateChatReplay(videoId, videoTime) {
+        const chatTime = this.getChatTime(videoTime);
+        
+        // Catch jumps the seeked handler didn't see, like resuming before playback started
+        const behind = chatTime - this.chatRenderedUpTo;
+        if (behind > CHAT_BUFFER_CONFIG.lookahead || behind < -CHAT_BUFFER_CONFIG.chunkSize) {
+            this.resetChatReplay(videoId, videoTime);
+            return;
+        }
+        
+        this.ensureChatBuffered(videoId, chatTime);
+        this.renderBufferedChat(chatTime);
+    }
+
+    ensureChatBuffered(videoId, chatTime) {
+        if (!this.chatTimecodesLoaded) return;
+        
+        const { chunkSize, lookahead } = CHAT_BUFFER_CONFIG;
+        const firstChunk = Math.floor(this.chatRenderedUpTo / chunkSize) * chunkSize;
+        
+        // Drop chunks that are well behind the playhead
+        this.chatBuffer.forEach((messages, chunkStart) => {
+            if (chunkStart + chunkSize < firstChunk) {
+                this.chatBuffer.delete(chunkStart);
+            }
+        });
+        
+        for (let chunkStart = firstChunk; chunkStart <= chatTime + lookahead; chunkStart += chunkSize) {
+            if (this.chatBuffer.has(chunkStart) || this.chatChunksLoading.has(chunkStart)) continue;
+            
+            let hasChat = false;
+            for (let t = chunkStart; t < chunkStart + chunkSize; t++) {
+                if (this.chatTimecodes.has(t)) {
+                    hasChat = true;
+                    break;
+                }
+            }
+            
+            if (hasChat) {
+                this.loadChatChunk(videoId, chunkStart);
+            } else {
+                this.chatBuffer.set(chunkStart, []);
+            }
+        }
+    }
+
+    async loadChatChunk(videoId, chunkStart) {
+        const chunkEnd = chunkStart + CHAT_BUFFER_CONFIG.chunkSize - 1;
+        this.chatChunksLoading.add(chunkStart);
+        
+        let messages = [];
+        try {
+            const response = await fetch(`/api/chat/${videoId}/${chunkStart}/${chunkEnd}`);
             if (response.ok) {
-                const messages = await response.json();
-                this.appendChatMessages(messages);
+                messages = await response.json();
             }
         } catch (error) {
+            // Leave the chunk empty rather than stalling the replay on it
             console.error('Failed to load chat messages:', error);
         }
+        
+        // Ignore responses for a video that is no longer playing
+        if (!this.currentVideo || this.currentVideo.id !== videoId) return;
+        
+        this.chatChunksLoading.delete(chunkStart);
+        messages.forEach(message => {
+            message.chat_offset = this.getChatMessageOffset(message);
+        });
+        messages.sort((a, b) => a.chat_offset - b.chat_offset);
+        this.chatBuffer.set(chunkStart, messages);
+        
+        if (this.player) {
+            this.renderBufferedChat(this.getChatTime(this.player.currentTime()));
+        }
+    }
+
+    getChatMessageOffset(message) {
+        // Use the sub-second part of the original offset when the chat data has one
+        const offset = message.content_offset_seconds;
+        const fraction = typeof offset === 'number' ? offset % 1 : 0;
+        return message.video_timestamp + fraction;
+    }
+
+    renderBufferedChat(chatTime) {
+        const { chunkSize } = CHAT_BUFFER_CONFIG;
+        const dueMessages = [];
+        let renderedUpTo = this.chatRenderedUpTo;
+        
+        while (renderedUpTo < chatTime) {
+            const chunkStart = Math.floor(renderedUpTo / chunkSize) * chunkSize;
+            const chunk = this.chatBuffer.get(chunkStart);
+            
+            // Wait for the chunk to land, then catch up from here
+            if (!chunk) break;
+            
+            const renderEnd = Math.min(chunkStart + chunkSize, chatTime);
+            chunk.forEach(message => {
+                if (message.chat_offset >= renderedUpTo && message.chat_offset < renderEnd) {
+                    dueMessages.push(message);
+                }
+            });
+            renderedUpTo = renderEnd;
+        }
+        
+        this.chatRenderedUpTo = renderedUpTo;
+        this.appendChatMessages(dueMessages);
     }
 
     appendChatMessages(messages) {
@@ -1053,27 +2231,172 @@ class VODArchive {
     }
 
     async loadChatTimecodes(videoId) {
+        this.chatTimecodesLoaded = false;
+        this.chatTimecodes = new Set();
+        
+        let timecodes = new Set();
         try {
             const response = await fetch(`/api/chat/${videoId}`);
             if (response.ok) {
                 const data = await response.json();
                 // Check if data is an array (valid timecodes) or an error object
                 if (Array.isArray(data)) {
-                    this.chatTimecodes = new Set(data);
+                    timecodes = new Set(data);
                 } else {
                     // Handle case where server returns an error object
-                    this.chatTimecodes = new Set();
                     console.log('No chat timecodes available for this video');
                 }
-            } else {
-                this.chatTimecodes = new Set();
-                // Don't show "no chat" message immediately, wait for actual playback
             }
+            // Don't show "no chat" message immediately, wait for actual playback
         } catch (error) {
             console.error('Failed to load chat timecodes:', error);
-            this.chatTimecodes = new Set();
             // Don't show "no chat" message immediately, wait for actual playback
         }
+        
+        // Only start buffering if this is still the video being watched
+        if (this.currentVideo && this.currentVideo.id === videoId) {
+            this.chatTimecodes = timecodes;
+            this.chatTimecodesLoaded = true;
+        }
+    }
+
+    async loadChatDensity(videoId) {
+        this.chatDensity = null;
+        this.updateChatHeatmap();
+        
+        try {
+            const response = await fetch(`/api/chat/${videoId}/density`);
+            if (!response.ok) return;
+            const density = await response.json();
+            
+            if (this.currentVideo && this.currentVideo.id === videoId) {
+                this.chatDensity = density;
+                this.updateChatHeatmap();
+            }
+        } catch (error) {
+            console.error('Failed to load chat density:', error);
+        }
+    }
+
+    // Draw messages per minute above the progress bar. It sits inside the seek bar,
+    // so clicking a busy spot seeks there like clicking the bar itself.
+    updateChatHeatmap() {
+        if (!this.player) return;
+        
+        const holder = this.player.el().querySelector('.vjs-progress-holder');
+        if (!holder) return;
+        
+        let heatmap = holder.querySelector('.vjs-chat-heatmap');
+        const duration = this.player.duration();
+        const density = this.chatDensity;
+        
+        if (!density || density.peak === 0 || !duration || !isFinite(duration)) {
+            if (heatmap) heatmap.remove();
+            return;
+        }
+        
+        if (!heatmap) {
+            heatmap = document.createElement('div');
+            heatmap.className = 'vjs-chat-heatmap';
+            holder.appendChild(heatmap);
+        }
+        heatmap.innerHTML = '';
+        
+        const unit = density.source === 'index' ? 'messages' : 'seconds with chat';
+        density.counts.forEach((count, i) => {
+            const start = i * density.bucketSize;
+            if (count === 0 || start >= duration) return;
+            
+            const intensity = count / density.peak;
+            const bar = document.createElement('div');
+            bar.className = 'vjs-chat-heat';
+            bar.style.left = `${(start / duration) * 100}%`;
+            bar.style.width = `${(Math.min(density.bucketSize, duration - start) / duration) * 100}%`;
+            bar.style.height = `${Math.max(10, intensity * 100)}%`;
+            bar.style.opacity = 0.35 + intensity * 0.65;
+            bar.title = `${formatTime(start)}: ${count} ${unit}`;
+            heatmap.appendChild(bar);
+        });
+    }
+
+    async loadChatHighlights(videoId) {
+        const container = document.getElementById('chatHighlights');
+        container.style.display = 'none';
+        container.innerHTML = '';
+        
+        try {
+            const response = await fetch(`/api/chat/${videoId}/highlights`);
+            if (!response.ok) return;
+            const data = await response.json();
+            
+            if (this.currentVideo && this.currentVideo.id === videoId) {
+                this.renderChatHighlights(data);
+            }
+        } catch (error) {
+            console.error('Failed to load chat highlights:', error);
+        }
+    }
+
+    renderChatHighlights(data) {
+        const container = document.getElementById('chatHighlights');
+        container.innerHTML = '';
+        container.style.display = 'block';
+        
+        const header = document.createElement('div');
+        header.className = 'chat-highlights-header';
+        header.textContent = 'Highlights';
+        container.appendChild(header);
+        
+        if (!data.indexed || data.highlights.length === 0) {
+            const note = document.createElement('div');
+            note.className = 'chat-highlights-note';
+            note.textContent = data.indexed
+                ? 'No highlights found in this video\'s chat.'
+                : 'This video\'s chat is not indexed yet, so there are no highlights to show.';
+            container.appendChild(note);
+            return;
+        }
+        
+        data.highlights.forEach(highlight => {
+            const item = document.createElement('div');
+            item.className = 'chat-highlight';
+            item.addEventListener('click', () => this.seekToHighlight(highlight));
+            
+            const info = document.createElement('div');
+            const reasons = document.createElement('div');
+            reasons.className = 'chat-highlight-reasons';
+            reasons.textContent = highlight.reasons.map(reason => {
+                if (reason === 'burst') return `Chat spike (${highlight.ratio}× usual)`;
+                if (reason === 'emotes') return `${highlight.emote.name} spam`;
+                return `${highlight.bits.toLocaleString()} bits`;
+            }).join(' • ');
+            info.appendChild(reasons);
+            
+            if (highlight.message) {
+                const message = document.createElement('div');
+                message.className = 'chat-highlight-message';
+                message.textContent = `${highlight.message.user}: ${highlight.message.text}`;
+                info.appendChild(message);
+            }
+            item.appendChild(info);
+            
+            const time = document.createElement('div');
+            time.className = 'chat-highlight-time';
+            time.textContent = formatTime(highlight.time);
+            item.appendChild(time);
+            
+            container.appendChild(item);
+        });
+    }
+
+    seekToHighlight(highlight) {
+        if (!this.player) return;
+        
+        // A playing clip would pull playback straight back into its range
+        this.exitClip();
+        this.shouldResume = false;
+        this.player.currentTime(highlight.time);
+        this.player.play();
     }
 
     showNoChatMessage() {
@@ -1265,24 +2588,84 @@ class VODArchive {
         return messageDiv;
     }
 
-    checkURLForVideoAndTime() {
+    loadVideoAt(videoId, time) {
+        this.loadVideo(videoId);
+        if (this.player && time > 0) {
+            // Saved positions would otherwise win over the requested time
+            this.shouldResume = false;
+            this.player.ready(() => {
+                this.player.currentTime(time);
+            });
+        }
+    }
+
+    // Restore the archive view from the query string and the video from the hash (#videoId?t=123).
+    // On back/forward the current video is kept if the hash still points at it.
+    checkURLForVideoAndTime(fromHistory = false) {
+        this.restoringViewState = true;
+        this.restoreViewStateFromURL();
+        this.filterAndPaginate();
+        this.restoringViewState = false;
+        
         const hash = window.location.hash.slice(1);
-        if (hash) {
-            const [videoId, timeParam] = hash.split('?t=');
-            if (videoId) {
-                this.loadVideo(videoId);
-                if (timeParam) {
-                    const seekTime = parseInt(timeParam, 10);
-                    if (seekTime > 0 && this.player) {
-                        this.player.ready(() => {
-                            this.player.currentTime(seekTime);
-                        });
-                    }
-                }
+        const [videoId, hashQuery = ''] = hash.split('?');
+        const hashParams = new URLSearchParams(hashQuery);
+        const clipId = hashParams.get('clip');
+        const timeParam = hashParams.get('t');
+        
+        if (!videoId) {
+            if (fromHistory) {
+                this.closeVideo();
+            }
+            return;
+        }
+        
+        if (clipId) {
+            if (!this.activeClip || this.activeClip.id !== clipId) {
+                this.playClipById(clipId, { updateHistory: false });
+            }
+            return;
+        }
+        
+        if (fromHistory && this.currentVideo && this.currentVideo.id === videoId) {
+            this.exitClip();
+            return;
+        }
+        
+        this.loadVideo(videoId, { updateHistory: false });
+        if (timeParam) {
+            const seekTime = parseInt(timeParam, 10);
+            if (seekTime > 0 && this.player) {
+                this.player.ready(() => {
+                    this.player.currentTime(seekTime);
+                });
             }
         }
     }
 
+    closeVideo() {
+        if (this.player) {
+            this.player.dispose();
+            this.player = null;
+        }
+        this.currentVideo = null;
+        this.activeClip = null;
+        document.getElementById('clipBanner').style.display = 'none';
+        this.removeStartOverButton();
+        if (this.chatOpen) {
+            this.closeChat();
+        }
+        
+        // Disposing the player takes its element with it
+        const playerElement = document.getElementById('videoPlayer');
+        if (playerElement) {
+            playerElement.style.display = 'none';
+        }
+        document.getElementById('videoPlaceholder').style.display = 'flex';
+        document.getElementById('infoSection').style.display = 'none';
+        document.title = 'Macaw45 VOD Archive';
+    }
+
     removeStartOverButton() {
         if (this.startOverBtn) {
             this.startOverBtn.remove();
@@ -1302,19 +2685,9 @@ class VODArchive {
 
 const archive = new VODArchive();
 
-window.addEventListener('popstate', (e) => {
-    if (e.state && e.state.videoId) {
-        archive.loadVideo(e.state.videoId);
-    } else {
-        if (archive.player) {
-            archive.player.dispose();
-            archive.player = null;
-        }
-        document.getElementById('videoPlaceholder').style.display = 'flex';
-        document.getElementById('videoPlayer').style.display = 'none';
-        document.getElementById('infoSection').style.display = 'none';
-        document.title = 'Macaw45 VOD Archive';
-    }
+// Back/forward can change the filters, the page, the video or any mix of them
+window.addEventListener('popstate', () => {
+    archive.checkURLForVideoAndTime(true);
 });
 
 document.ondblclick = function (e) {
@@ -1,307 +1,2820 @@
 const express = require('express');
 const path = require('path');
 const fetch = require('node-fetch');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Structured JSON logs, one object per line; LOG_LEVEL is debug, info, warn or error
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] || LOG_LEVELS.info;
+
+// Carries the current request ID through async calls so upstream logs can be tied to a request
+const requestContext = new AsyncLocalStorage();
+
+// Legacy single-file metadata, imported into the store on first run
 const METADATA_FILE = path.join(__dirname, 'video-metadata.json');
 
+// Metadata store: a snapshot plus an append-only change log replayed on startup
+const METADATA_STORE_DIR = process.env.METADATA_STORE_DIR || path.join(__dirname, 'metadata-store');
+const METADATA_SNAPSHOT_FILE = path.join(METADATA_STORE_DIR, 'snapshot.json');
+const METADATA_LOG_FILE = path.join(METADATA_STORE_DIR, 'changes.log');
+const METADATA_COMPACT_THRESHOLD = 500;
+
+// Admin API credentials: a bearer token and/or basic auth; the admin API is disabled if neither is set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+const ADMIN_USER = process.env.ADMIN_USER || null;
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || null;
+const ADMIN_SYNC_COOLDOWN = 60 * 1000;
+// EventSource can't send an Authorization header, so admins trade theirs for a short-lived ?token=
+const SYNC_EVENTS_TOKEN_TTL = 60 * 1000;
+const SYNC_EVENTS_TOKEN_SECRET = crypto.randomBytes(32);
+
+// Metadata fields an admin can override without being clobbered by the next sync
+const OVERRIDABLE_VIDEO_FIELDS = ['title', 'description', 'date'];
+const CHAT_INDEX_DIR = process.env.CHAT_INDEX_DIR || path.join(__dirname, 'chat-index');
+
+// User-made clips of a VOD time range, kept in one JSON file
+const CLIPS_FILE = process.env.CLIPS_FILE || path.join(__dirname, 'clips.json');
+const CLIP_MAX_LENGTH = 10 * 60;
+const CLIP_TITLE_MAX_LENGTH = 100;
+const CLIPS_LIST_LIMIT = 100;
+// Anyone can make clips, so cap how many are kept and how fast one address can add them
+const CLIPS_MAX = parseInt(process.env.CLIPS_MAX) || 5000;
+const CLIP_RATE_LIMIT = 10;
+const CLIP_RATE_WINDOW = 10 * 60 * 1000;
+// Set when running behind a reverse proxy so rate limits see client addresses (see Express "trust proxy")
+const TRUST_PROXY = process.env.TRUST_PROXY || null;
+
+// Longest range the export endpoints will trim or concatenate
+const EXPORT_MAX_LENGTH = 60 * 60;
+// Distinct badge/emote/cheer images fetched at once when inlining them into a chat transcript
+const TRANSCRIPT_IMAGE_CONCURRENCY = 8;
+
+// Extra renditions produced by a local transcoding job, one directory per VOD:
+//   renditions/{vodid}/renditions.json lists [{ name, playlist, bandwidth, resolution, codecs }]
+//   with each playlist path (and its segments) relative to that directory
+const RENDITIONS_DIR = process.env.RENDITIONS_DIR || path.join(__dirname, 'renditions');
+
+// BANDWIDTH advertised for a single-rendition upstream VOD, which doesn't declare one
+const SOURCE_BANDWIDTH = parseInt(process.env.SOURCE_BANDWIDTH) || 6000000;
+
+// Upstream mirror: an HTTP base URL or a local directory with the same layout
+const UPSTREAM = (process.env.UPSTREAM || 'https://barbarian.men/macaw45').replace(/\/+$/, '');
+const UPSTREAM_IS_LOCAL = !/^https?:\/\//.test(UPSTREAM);
+const UPSTREAM_DIR = UPSTREAM_IS_LOCAL ? path.resolve(UPSTREAM.replace(/^file:\/\//, '')) : null;
+
+// Offline mode never contacts an HTTP upstream and serves only what is already cached
+const OFFLINE = ['1', 'true', 'yes'].includes((process.env.OFFLINE || '').toLowerCase());
+
+const UPSTREAM_CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.m3u8': 'application/x-mpegURL',
+  '.ts': 'video/mp2t',
+  '.mp4': 'video/mp4',
+  '.m4s': 'video/iso.segment',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.vtt': 'text/vtt',
+  '.webp': 'image/webp',
+  '.png': 'image/png',
+  '.gif': 'image/gif'
+};
+
+// Disk cache for upstream responses; set CACHE_MAX_BYTES=0 to disable
+const CACHE_DIR = process.env.CACHE_DIR || path.join(__dirname, 'cache');
+const CACHE_MAX_BYTES = process.env.CACHE_MAX_BYTES !== undefined
+  ? parseInt(process.env.CACHE_MAX_BYTES) || 0
+  : 10 * 1024 * 1024 * 1024;
+const PLAYLIST_CACHE_TTL = 60 * 60 * 1000;
+const EMOTE_MAP_CACHE_TTL = 60 * 60 * 1000;
+
+// A local upstream is already on disk, so there is nothing to gain from copying it
+const CACHE_ENABLED = CACHE_MAX_BYTES > 0 && !UPSTREAM_IS_LOCAL;
+
+// Cache index: hash -> { key, file, size, contentType, storedAt }, LRU by insertion order
+const cacheEntries = new Map();
+let cacheTotalBytes = 0;
+const cacheStats = { hits: 0, misses: 0, evictions: 0 };
+
+// Readiness probes hit upstream at most this often
+const UPSTREAM_CHECK_TTL = 30 * 1000;
+const UPSTREAM_CHECK_TIMEOUT = 5000;
+let upstreamCheck = null;
+
+// Video metadata keyed by upstream index key, plus a VOD ID lookup
+const videoStore = new Map();
+const videoStoreByVodId = new Map();
+let metadataLogLength = 0;
+let metadataWriteQueue = Promise.resolve();
+
+// Durations shorter than this are re-probed, in case the playlist was truncated when first read
+const DURATION_MIN_PLAUSIBLE = 60;
+const DURATION_BACKFILL_INTERVAL = 5 * 60 * 1000;
+const DURATION_BACKFILL_BASE_DELAY = 5 * 60 * 1000;
+const DURATION_BACKFILL_MAX_DELAY = 24 * 60 * 60 * 1000;
+const DURATION_BACKFILL_MAX_ATTEMPTS = 8;
+let durationBackfillRunning = false;
+
+// Full sync bookkeeping, so scheduled and manual syncs never overlap
+let currentSync = null;
+let lastManualSyncAt = 0;
+
+// Background job tracking (metadata sync, duration backfill, chat indexing) with live progress over SSE
+const SYNC_HISTORY_FILE = path.join(METADATA_STORE_DIR, 'sync-history.json');
+const SYNC_HISTORY_LIMIT = 100;
+const SYNC_PROGRESS_THROTTLE = 250;
+const runningJobs = new Map();
+let jobHistory = [];
+const jobEventClients = new Set();
+const jobLastBroadcast = new Map(); // job id -> time of last progress event
+let jobHistoryWriteQueue = Promise.resolve();
+
+// Fields mirrored from upstream videos.json that are tracked for edits
+const SYNCED_VIDEO_FIELDS = ['vodid', 'title', 'description', 'date'];
+
+// /api/videos sorting, filtering and paging
+const VIDEO_SORT_FIELDS = {
+  date: video => new Date(video.date).getTime() || 0,
+  duration: video => video.duration || 0,
+  title: video => (video.title || '').toLowerCase()
+};
+
+// Dates and durations default to biggest first, titles to A-Z
+const VIDEO_SORT_DEFAULT_ORDER = { date: 'desc', duration: 'desc', title: 'asc' };
+const VIDEO_QUERY_PARAMS = ['title', 'q', 'from', 'to', 'includeRemoved', 'sort', 'order', 'page', 'pageSize'];
+const VIDEO_PAGE_SIZE_DEFAULT = 25;
+const VIDEO_PAGE_SIZE_MAX = 200;
+
 // Emote mapping storage
 let firstPartyEmotes = {};
 let thirdPartyEmotes = {};
 
+// Chat window fetching limits
+const CHAT_FETCH_CONCURRENCY = 8;
+const CHAT_MAX_RANGE = 300;
+const CHAT_CACHE_MAX_SECONDS = 20000;
+const CHAT_TIMECODES_TTL = 60 * 60 * 1000;
+const CHAT_DENSITY_BUCKET = 60;
+const CHAT_INDEX_VERSION = 2; // Entries from older versions are rebuilt by the next index build
+
+// Highlight detection scans HIGHLIGHT_WINDOW seconds of chat every HIGHLIGHT_STEP seconds
+const HIGHLIGHT_WINDOW = 30;
+const HIGHLIGHT_STEP = 10;
+const HIGHLIGHT_BURST_RATIO = 2.5;     // window messages vs. the video's median window
+const HIGHLIGHT_MIN_MESSAGES = 10;
+const HIGHLIGHT_MIN_EMOTE_MESSAGES = 8;
+const HIGHLIGHT_MIN_EMOTE_SHARE = 0.4; // share of the window's messages using its top emote
+const HIGHLIGHT_MIN_BITS = 1000;
+const HIGHLIGHT_MIN_GAP = 60;          // keep only the best window among ones this close together
+const HIGHLIGHT_LEAD_IN = 10;          // chat reacts late, so seek a little before the window
+const HIGHLIGHT_LIMIT_DEFAULT = 10;
+const HIGHLIGHT_LIMIT_MAX = 50;
+
+// Chat caches: per-second messages keyed by "videoId/second" (LRU by insertion order)
+// and the list of seconds that have chat, keyed by VOD ID
+const chatSecondCache = new Map();
+const chatTimecodesCache = new Map();
+
+// Chat search index, keyed by VOD ID
+let chatIndex = {};
+let chatIndexBuilding = false;
+
+// Highlights detected from each chat index entry: VOD ID -> { indexedAt, highlights }
+const chatHighlightsCache = new Map();
+
+// Clips keyed by clip ID, in creation order
+const clips = new Map();
+let clipsWriteQueue = Promise.resolve();
+const clipRateLimits = new Map(); // client address -> creation times within CLIP_RATE_WINDOW
+
+// Prometheus metrics: name -> { type, help, buckets, series: Map(labelKey -> { labels, value | counts/sum/count }) }
+const METRICS_PREFIX = 'vod_archive_';
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+const JOB_DURATION_BUCKETS = [1, 5, 15, 30, 60, 300, 900, 1800, 3600, 7200];
+const metrics = new Map();
+
+function serializeLogValue(value) {
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code, stack: value.stack };
+  }
+  return value;
+}
+
+function writeLog(level, message, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVEL) return;
+  
+  const entry = { time: new Date().toISOString(), level, msg: message };
+  const context = requestContext.getStore();
+  if (context) {
+    entry.requestId = context.requestId;
+  }
+  Object.entries(fields).forEach(([key, value]) => {
+    entry[key] = serializeLogValue(value);
+  });
+  
+  const line = JSON.stringify(entry) + '\n';
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+    process.stderr.write(line);
+  } else {
+    process.stdout.write(line);
+  }
+}
+
+const logger = {
+  debug: (message, fields) => writeLog('debug', message, fields),
+  info: (message, fields) => writeLog('info', message, fields),
+  warn: (message, fields) => writeLog('warn', message, fields),
+  error: (message, fields) => writeLog('error', message, fields)
+};
+
+// Tag each request with an ID (reusing a sane incoming X-Request-Id) and run it inside that context
+app.use((req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomBytes(8).toString('hex');
+  res.set('X-Request-Id', req.id);
+  requestContext.run({ requestId: req.id }, next);
+});
+
+if (TRUST_PROXY) {
+  app.set('trust proxy', TRUST_PROXY);
+}
+
 app.use(express.static('public'));
 
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept');
-  next();
-});
+app.use((req, res, next) => {
+  res.header('Access-Control-Allow-Origin', '*');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Range');
+  next();
+});
+
+function defineMetric(name, type, help, buckets = null) {
+  metrics.set(name, { type, help, buckets, series: new Map() });
+}
+
+function getMetricSeries(name, labels) {
+  const metric = metrics.get(name);
+  const key = JSON.stringify(labels);
+  let series = metric.series.get(key);
+  if (!series) {
+    series = metric.type === 'histogram'
+      ? { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 }
+      : { labels, value: 0 };
+    metric.series.set(key, series);
+  }
+  return series;
+}
+
+function incrementMetric(name, labels, amount = 1) {
+  getMetricSeries(name, labels).value += amount;
+}
+
+function observeMetric(name, labels, value) {
+  const metric = metrics.get(name);
+  const series = getMetricSeries(name, labels);
+  metric.buckets.forEach((bound, index) => {
+    if (value <= bound) series.counts[index]++;
+  });
+  series.sum += value;
+  series.count++;
+}
+
+function formatMetricLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) =>
+    `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Render all metrics in the Prometheus text exposition format
+function renderMetrics() {
+  const lines = [];
+  
+  metrics.forEach((metric, name) => {
+    const fullName = METRICS_PREFIX + name;
+    lines.push(`# HELP ${fullName} ${metric.help}`);
+    lines.push(`# TYPE ${fullName} ${metric.type}`);
+    
+    metric.series.forEach(series => {
+      if (metric.type !== 'histogram') {
+        lines.push(`${fullName}${formatMetricLabels(series.labels)} ${series.value}`);
+        return;
+      }
+      
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${fullName}_bucket${formatMetricLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${fullName}_bucket${formatMetricLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${fullName}_sum${formatMetricLabels(series.labels)} ${series.sum}`);
+      lines.push(`${fullName}_count${formatMetricLabels(series.labels)} ${series.count}`);
+    });
+  });
+  
+  return lines.join('\n') + '\n';
+}
+
+// Group upstream paths into a small set of label values (videos, comments, emotes, tn, index)
+function getUpstreamKind(upstreamPath) {
+  const [first, ...rest] = upstreamPath.split('/');
+  if (rest.length === 0) return 'index';
+  return first;
+}
+
+defineMetric('http_requests_total', 'counter', 'API requests by route, method and status code.');
+defineMetric('http_request_duration_seconds', 'histogram', 'API request latency by route.', LATENCY_BUCKETS);
+defineMetric('http_response_bytes_total', 'counter', 'Bytes sent in API responses by route and cache result.');
+defineMetric('upstream_requests_total', 'counter', 'Upstream requests by resource kind and status code.');
+defineMetric('upstream_request_duration_seconds', 'histogram', 'Time to upstream response headers by resource kind.', LATENCY_BUCKETS);
+defineMetric('sync_jobs_total', 'counter', 'Finished background jobs by type and status.');
+defineMetric('sync_job_duration_seconds', 'histogram', 'Background job duration by type.', JOB_DURATION_BUCKETS);
+defineMetric('cache_entries', 'gauge', 'Entries in the upstream disk cache.');
+defineMetric('cache_bytes', 'gauge', 'Bytes stored in the upstream disk cache.');
+defineMetric('cache_lookups_total', 'counter', 'Disk cache lookups by result.');
+defineMetric('cache_evictions_total', 'counter', 'Entries evicted from the disk cache.');
+
+// Time every API request and count the bytes it sends, labelled by the matched route pattern
+app.use('/api', (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  let bytes = 0;
+  
+  const write = res.write;
+  const end = res.end;
+  const countChunk = (chunk, encoding) => {
+    if (chunk && typeof chunk !== 'function') {
+      bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+    }
+  };
+  res.write = function (chunk, encoding, ...args) {
+    countChunk(chunk, encoding);
+    return write.call(this, chunk, encoding, ...args);
+  };
+  res.end = function (chunk, encoding, ...args) {
+    countChunk(chunk, encoding);
+    return end.call(this, chunk, encoding, ...args);
+  };
+  
+  res.on('close', () => {
+    const route = req.route && req.route.path !== '*' ? req.route.path : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    
+    const cache = (res.get('X-Cache') || 'none').toLowerCase();
+    
+    incrementMetric('http_requests_total', { route, method: req.method, status: res.statusCode });
+    observeMetric('http_request_duration_seconds', { route }, seconds);
+    incrementMetric('http_response_bytes_total', { route, cache }, bytes);
+    
+    const level = res.statusCode >= 500 ? 'error' : 'info';
+    writeLog(level, 'request', {
+      requestId: req.id,
+      method: req.method,
+      path: redactUrl(req.originalUrl),
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      bytes,
+      cache,
+      aborted: !res.writableFinished || undefined
+    });
+  });
+  
+  next();
+});
+
+async function readLocalUpstream(upstreamPath, options) {
+  const file = path.resolve(UPSTREAM_DIR, upstreamPath);
+  if (!file.startsWith(UPSTREAM_DIR + path.sep)) {
+    return new fetch.Response('Forbidden', { status: 403 });
+  }
+  
+  let stat;
+  try {
+    stat = await fs.stat(file);
+  } catch (error) {
+    return new fetch.Response('Not found', { status: 404 });
+  }
+  if (!stat.isFile()) {
+    return new fetch.Response('Not found', { status: 404 });
+  }
+  
+  const headers = {
+    'Content-Type': UPSTREAM_CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+    'Accept-Ranges': 'bytes'
+  };
+  
+  const rangeHeader = options.headers && options.headers['Range'];
+  if (rangeHeader) {
+    const range = parseRange(rangeHeader, stat.size);
+    if (!range) {
+      return new fetch.Response('', { status: 416, headers: { 'Content-Range': `bytes */${stat.size}` } });
+    }
+    
+    headers['Content-Range'] = `bytes ${range.start}-${range.end}/${stat.size}`;
+    headers['Content-Length'] = String(range.end - range.start + 1);
+    return new fetch.Response(createReadStream(file, range), { status: 206, headers });
+  }
+  
+  headers['Content-Length'] = String(stat.size);
+  if (options.method === 'HEAD') {
+    return new fetch.Response('', { status: 200, headers });
+  }
+  return new fetch.Response(createReadStream(file), { status: 200, headers });
+}
+
+// Fetch a path relative to the upstream root; always resolves to a fetch Response
+async function fetchUpstream(upstreamPath, options = {}) {
+  if (OFFLINE && !UPSTREAM_IS_LOCAL) {
+    return new fetch.Response('Offline mode', { status: 503, statusText: 'Offline' });
+  }
+  
+  const kind = getUpstreamKind(upstreamPath);
+  const startedAt = process.hrtime.bigint();
+  const elapsedMs = () => Number(process.hrtime.bigint() - startedAt) / 1e6;
+  
+  // Pass the request ID on so an HTTP upstream's own logs can be correlated
+  const context = requestContext.getStore();
+  if (context && !UPSTREAM_IS_LOCAL) {
+    options = { ...options, headers: { ...options.headers, 'X-Request-Id': context.requestId } };
+  }
+  
+  try {
+    const response = UPSTREAM_IS_LOCAL
+      ? await readLocalUpstream(upstreamPath, options)
+      : await fetch(`${UPSTREAM}/${upstreamPath}`, options);
+    incrementMetric('upstream_requests_total', { kind, status: response.status });
+    
+    // 404s are routine (chat seconds, optional playlists), other failures are worth a look
+    const level = response.ok || response.status === 404 ? 'debug' : 'warn';
+    logger[level]('upstream fetch', { path: upstreamPath, method: options.method || 'GET', status: response.status, durationMs: Math.round(elapsedMs()) });
+    return response;
+  } catch (error) {
+    incrementMetric('upstream_requests_total', { kind, status: 'error' });
+    logger.error('upstream fetch failed', { path: upstreamPath, method: options.method || 'GET', durationMs: Math.round(elapsedMs()), error: error.message });
+    throw error;
+  } finally {
+    observeMetric('upstream_request_duration_seconds', { kind }, elapsedMs() / 1000);
+  }
+}
+
+function getCacheHash(key) {
+  return crypto.createHash('sha1').update(key).digest('hex');
+}
+
+async function loadCacheIndex() {
+  if (!CACHE_ENABLED) {
+    logger.info('Disk cache disabled');
+    return;
+  }
+  
+  try {
+    await fs.mkdir(CACHE_DIR, { recursive: true });
+    const files = await fs.readdir(CACHE_DIR);
+    const entries = [];
+    
+    for (const file of files) {
+      if (file.endsWith('.tmp')) {
+        // Leftover from a download that never finished
+        await fs.unlink(path.join(CACHE_DIR, file)).catch(() => {});
+        continue;
+      }
+      if (!file.endsWith('.json')) continue;
+      
+      try {
+        const meta = JSON.parse(await fs.readFile(path.join(CACHE_DIR, file), 'utf8'));
+        const hash = file.replace('.json', '');
+        const dataFile = path.join(CACHE_DIR, `${hash}.bin`);
+        const stat = await fs.stat(dataFile);
+        entries.push({ hash, entry: { ...meta, file: dataFile, size: stat.size }, lastAccess: stat.mtimeMs });
+      } catch (error) {
+        await fs.unlink(path.join(CACHE_DIR, file)).catch(() => {});
+      }
+    }
+    
+    // Oldest first so the Map's insertion order matches LRU order
+    entries.sort((a, b) => a.lastAccess - b.lastAccess);
+    entries.forEach(({ hash, entry }) => {
+      cacheEntries.set(hash, entry);
+      cacheTotalBytes += entry.size;
+    });
+    
+    logger.info('Disk cache loaded', { entries: cacheEntries.size, bytes: cacheTotalBytes, dir: CACHE_DIR });
+    await evictCache();
+  } catch (error) {
+    logger.error('Failed to load disk cache index', { error });
+  }
+}
+
+function getCacheEntry(key) {
+  const hash = getCacheHash(key);
+  const entry = cacheEntries.get(hash);
+  if (!entry) {
+    cacheStats.misses++;
+    return null;
+  }
+  cacheStats.hits++;
+  
+  // Re-insert to mark as most recently used, and persist that for the next startup
+  cacheEntries.delete(hash);
+  cacheEntries.set(hash, entry);
+  const now = new Date();
+  fs.utimes(entry.file, now, now).catch(() => {});
+  
+  return entry;
+}
+
+async function removeCacheEntry(hash) {
+  const entry = cacheEntries.get(hash);
+  if (!entry) return;
+  
+  cacheEntries.delete(hash);
+  cacheTotalBytes -= entry.size;
+  await fs.unlink(entry.file).catch(() => {});
+  await fs.unlink(path.join(CACHE_DIR, `${hash}.json`)).catch(() => {});
+}
+
+async function evictCache() {
+  while (cacheTotalBytes > CACHE_MAX_BYTES && cacheEntries.size > 0) {
+    const oldestHash = cacheEntries.keys().next().value;
+    await removeCacheEntry(oldestHash);
+    cacheStats.evictions++;
+  }
+}
+
+// Move a fully written temp file into the cache under the given key
+async function commitCacheEntry(key, tmpFile, contentType) {
+  const hash = getCacheHash(key);
+  const file = path.join(CACHE_DIR, `${hash}.bin`);
+  const { size } = await fs.stat(tmpFile);
+  
+  if (size > CACHE_MAX_BYTES) {
+    await fs.unlink(tmpFile).catch(() => {});
+    return;
+  }
+  
+  await removeCacheEntry(hash);
+  await fs.rename(tmpFile, file);
+  
+  const entry = { key, contentType, storedAt: Date.now() };
+  await fs.writeFile(path.join(CACHE_DIR, `${hash}.json`), JSON.stringify(entry));
+  
+  cacheEntries.set(hash, { ...entry, file, size });
+  cacheTotalBytes += size;
+  await evictCache();
+}
+
+function getCacheTmpFile(key) {
+  return path.join(CACHE_DIR, `${getCacheHash(key)}.${process.pid}.${Date.now()}.tmp`);
+}
+
+// Fetch an upstream text resource through the disk cache; returns { ok, status, text }.
+// Expired entries are still used when upstream can't be reached.
+async function fetchCachedText(upstreamPath, ttl = Infinity) {
+  const entry = CACHE_ENABLED ? getCacheEntry(upstreamPath) : null;
+  const readEntry = async () => {
+    try {
+      return { ok: true, status: 200, text: await fs.readFile(entry.file, 'utf8') };
+    } catch (error) {
+      // Evicted underneath us
+      return null;
+    }
+  };
+  
+  if (entry && Date.now() - entry.storedAt <= ttl) {
+    const cached = await readEntry();
+    if (cached) return cached;
+  }
+  
+  let response;
+  try {
+    response = await fetchUpstream(upstreamPath);
+  } catch (error) {
+    const stale = entry && await readEntry();
+    if (stale) return stale;
+    throw error;
+  }
+  
+  if (!response.ok) {
+    const stale = response.status !== 404 && entry && await readEntry();
+    return stale || { ok: false, status: response.status, text: null };
+  }
+  
+  const text = await response.text();
+  
+  if (CACHE_ENABLED) {
+    const tmpFile = getCacheTmpFile(upstreamPath);
+    fs.writeFile(tmpFile, text)
+      .then(() => commitCacheEntry(upstreamPath, tmpFile, response.headers.get('content-type')))
+      .catch(error => logger.error('Failed to cache upstream response', { path: upstreamPath, error: error.message }));
+  }
+  
+  return { ok: true, status: response.status, text };
+}
+
+// Parse a single "bytes=start-end" range against a known size; null if unsatisfiable
+function parseRange(rangeHeader, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(rangeHeader || '');
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+  
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - parseInt(match[2]));
+    end = size - 1;
+  } else {
+    start = parseInt(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2]), size - 1);
+  }
+  
+  return start <= end && start < size ? { start, end } : null;
+}
+
+// Open a cache entry's file, resolving null (and dropping the entry) if it was evicted or deleted underneath us
+function openCacheEntryStream(entry, range) {
+  return new Promise(resolve => {
+    const stream = createReadStream(entry.file, range);
+    stream.once('ready', () => resolve(stream));
+    stream.once('error', error => {
+      logger.warn('Cached file is missing, refetching from upstream', { key: entry.key, error: error.message });
+      const hash = getCacheHash(entry.key);
+      // Don't throw away a fresh copy that replaced this entry in the meantime
+      if (cacheEntries.get(hash) === entry) {
+        removeCacheEntry(hash).catch(() => {});
+      }
+      resolve(null);
+    });
+  });
+}
+
+// Send a cached file; resolves false without writing anything if the file has gone, so the caller can go upstream
+async function sendCachedFile(req, res, entry, options) {
+  const range = req.headers.range ? parseRange(req.headers.range, entry.size) : undefined;
+  if (range === null) {
+    res.set('Content-Range', `bytes */${entry.size}`);
+    res.status(416).end();
+    return true;
+  }
+  
+  const stream = await openCacheEntryStream(entry, range);
+  if (!stream) {
+    return false;
+  }
+  // Headers are out by the time a read can fail, so all that's left is to cut the response off
+  stream.on('error', error => {
+    logger.error('Failed reading cached file', { key: entry.key, error: error.message });
+    res.destroy(error);
+  });
+  
+  res.set('Content-Type', options.contentType || entry.contentType || 'application/octet-stream');
+  if (options.cacheControl) {
+    res.set('Cache-Control', options.cacheControl);
+  }
+  res.set('Accept-Ranges', 'bytes');
+  res.set('X-Cache', 'HIT');
+  
+  if (range) {
+    res.status(206);
+    res.set('Content-Range', `bytes ${range.start}-${range.end}/${entry.size}`);
+    res.set('Content-Length', range.end - range.start + 1);
+  } else {
+    res.set('Content-Length', entry.size);
+  }
+  stream.pipe(res);
+  return true;
+}
+
+// Serve an upstream binary through the disk cache, honouring Range requests.
+// Returns false without writing anything if upstream doesn't have the file.
+async function serveCached(req, res, upstreamPath, options = {}) {
+  if (CACHE_ENABLED) {
+    const entry = getCacheEntry(upstreamPath);
+    if (entry && await sendCachedFile(req, res, entry, options)) {
+      return true;
+    }
+  }
+  
+  // Only a request for the whole file can populate the cache; other ranges pass straight through
+  const isPartialRange = req.headers.range && req.headers.range !== 'bytes=0-';
+  const headers = {};
+  if (isPartialRange) {
+    headers['Range'] = req.headers.range;
+  }
+  
+  const response = await fetchUpstream(upstreamPath, { headers });
+  if (!response.ok) {
+    return false;
+  }
+  
+  const upstreamType = response.headers.get('content-type');
+  res.set('Content-Type', options.contentType || upstreamType || 'application/octet-stream');
+  if (options.cacheControl) {
+    res.set('Cache-Control', options.cacheControl);
+  }
+  res.set('X-Cache', 'MISS');
+  ['content-range', 'accept-ranges', 'content-length'].forEach(header => {
+    if (response.headers.get(header)) {
+      res.set(header, response.headers.get(header));
+    }
+  });
+  res.status(response.status);
+  
+  if (CACHE_ENABLED && response.status === 200) {
+    const tmpFile = getCacheTmpFile(upstreamPath);
+    const out = createWriteStream(tmpFile);
+    let failed = false;
+    
+    response.body.on('error', () => {
+      failed = true;
+      out.destroy();
+      fs.unlink(tmpFile).catch(() => {});
+    });
+    out.on('error', error => {
+      failed = true;
+      logger.error('Failed to cache upstream response', { path: upstreamPath, error: error.message });
+      fs.unlink(tmpFile).catch(() => {});
+    });
+    out.on('finish', () => {
+      if (failed) return;
+      commitCacheEntry(upstreamPath, tmpFile, upstreamType)
+        .catch(error => logger.error('Failed to cache upstream response', { path: upstreamPath, error: error.message }));
+    });
+    
+    response.body.pipe(out);
+  }
+  
+  response.body.pipe(res);
+  return true;
+}
+
+// Load emote mappings on startup
+async function loadEmoteMappings() {
+  try {
+    logger.debug('Loading emote mappings');
+    
+    const [firstPartyResponse, thirdPartyResponse, cheersResponse] = await Promise.all([
+      fetchCachedText('first_party_emotes.json', EMOTE_MAP_CACHE_TTL),
+      fetchCachedText('third_party_emotes.json', EMOTE_MAP_CACHE_TTL),
+      fetchCachedText('cheers.json', EMOTE_MAP_CACHE_TTL)
+    ]);
+    
+    if (firstPartyResponse.ok) {
+      firstPartyEmotes = JSON.parse(firstPartyResponse.text);
+      logger.info('Loaded first-party emotes', { count: Object.keys(firstPartyEmotes).length });
+    }
+    
+    if (thirdPartyResponse.ok) {
+      thirdPartyEmotes = JSON.parse(thirdPartyResponse.text);
+      logger.info('Loaded third-party emotes', { count: Object.keys(thirdPartyEmotes).length });
+    }
+    
+    if (cheersResponse.ok) {
+      const cheers = JSON.parse(cheersResponse.text);
+      // Store cheers data in the global variable for the server endpoints
+      global.cheersData = cheers;
+      logger.info('Loaded cheer providers', { count: Object.keys(cheers).length });
+    }
+  } catch (error) {
+    logger.error('Failed to load emote mappings', { error });
+  }
+}
+
+function applyMetadataChange(change) {
+  const existing = videoStore.get(change.key);
+  if (existing) {
+    videoStoreByVodId.delete(existing.vodid);
+  }
+  
+  if (change.op === 'put') {
+    videoStore.set(change.key, change.video);
+    videoStoreByVodId.set(change.video.vodid, change.video);
+  } else if (change.op === 'delete') {
+    videoStore.delete(change.key);
+  }
+}
+
+async function openMetadataStore() {
+  await fs.mkdir(METADATA_STORE_DIR, { recursive: true });
+  
+  let hasSnapshot = false;
+  try {
+    const snapshot = JSON.parse(await fs.readFile(METADATA_SNAPSHOT_FILE, 'utf8'));
+    Object.entries(snapshot.videos).forEach(([key, video]) => applyMetadataChange({ op: 'put', key, video }));
+    hasSnapshot = true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  
+  let logLines = [];
+  try {
+    logLines = (await fs.readFile(METADATA_LOG_FILE, 'utf8')).split('\n').filter(Boolean);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+  
+  logLines.forEach((line, index) => {
+    try {
+      applyMetadataChange(JSON.parse(line));
+    } catch (error) {
+      // Only the last line can be torn by a crash mid-append
+      if (index < logLines.length - 1) {
+        throw new Error(`Corrupt metadata log entry on line ${index + 1}`);
+      }
+      logger.warn('Ignoring incomplete final metadata log entry');
+    }
+  });
+  metadataLogLength = logLines.length;
+  
+  if (!hasSnapshot && logLines.length === 0) {
+    await importLegacyMetadata();
+  }
+  
+  if (metadataLogLength > 0) {
+    await enqueueMetadataWrite(compactMetadataStore);
+  }
+  
+  logger.info('Metadata store opened', { videos: videoStore.size });
+}
+
+async function importLegacyMetadata() {
+  try {
+    const legacy = JSON.parse(await fs.readFile(METADATA_FILE, 'utf8'));
+    Object.entries(legacy).forEach(([key, video]) => applyMetadataChange({ op: 'put', key, video }));
+    await enqueueMetadataWrite(compactMetadataStore);
+    logger.info('Imported legacy metadata', { videos: videoStore.size, file: METADATA_FILE });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Failed to import legacy metadata file', { error });
+    } else {
+      logger.info('No existing metadata, starting fresh');
+    }
+  }
+}
+
+// Writes run one at a time so concurrent syncs can't interleave log appends and compaction
+function enqueueMetadataWrite(task) {
+  const result = metadataWriteQueue.then(task);
+  metadataWriteQueue = result.catch(() => {});
+  return result;
+}
+
+async function compactMetadataStore() {
+  const tmpFile = `${METADATA_SNAPSHOT_FILE}.${process.pid}.tmp`;
+  const snapshot = JSON.stringify({ version: 1, savedAt: new Date().toISOString(), videos: Object.fromEntries(videoStore) });
+  
+  const handle = await fs.open(tmpFile, 'w');
+  try {
+    await handle.writeFile(snapshot);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tmpFile, METADATA_SNAPSHOT_FILE);
+  
+  // Replaying a log that is already in the snapshot is harmless, so a crash here loses nothing
+  await fs.writeFile(METADATA_LOG_FILE, '');
+  metadataLogLength = 0;
+}
+
+// Only call from inside the write queue
+async function appendMetadataChanges(changes) {
+  await fs.appendFile(METADATA_LOG_FILE, changes.map(change => JSON.stringify(change) + '\n').join(''));
+  changes.forEach(applyMetadataChange);
+  metadataLogLength += changes.length;
+  
+  if (metadataLogLength >= METADATA_COMPACT_THRESHOLD) {
+    await compactMetadataStore();
+  }
+}
+
+function writeMetadataChanges(changes) {
+  return enqueueMetadataWrite(() => appendMetadataChanges(changes));
+}
+
+function putVideo(key, video) {
+  return writeMetadataChanges([{ op: 'put', key, video }]);
+}
+
+// Apply updates to records as they stand when the write runs, not when the caller read them, so
+// concurrent syncs, admin overrides and duration probes can't overwrite each other's fields.
+// Each update is { key, update(current) } returning the new record, or null to leave it alone.
+// Resolves to the written records in the same order (null where skipped).
+function updateVideos(updates) {
+  return enqueueMetadataWrite(async () => {
+    const results = updates.map(({ key, update }) => update(getVideo(key)));
+    const changes = [];
+    results.forEach((video, i) => {
+      if (video) changes.push({ op: 'put', key: updates[i].key, video });
+    });
+    
+    if (changes.length > 0) {
+      await appendMetadataChanges(changes);
+    }
+    return results;
+  });
+}
+
+async function updateVideo(key, update) {
+  const [video] = await updateVideos([{ key, update }]);
+  return video;
+}
+
+function getVideo(key) {
+  return videoStore.get(key) || null;
+}
+
+function getVideoByVodId(vodid) {
+  return videoStoreByVodId.get(vodid) || null;
+}
+
+function getAllVideos() {
+  return Array.from(videoStore.values());
+}
+
+// Find the store key for a VOD ID, since admin routes address videos the way clients do
+function getVideoKey(vodid) {
+  for (const [key, video] of videoStore) {
+    if (video.vodid === vodid) return key;
+  }
+  return null;
+}
+
+// The video as clients should see it, with any admin overrides applied over upstream fields
+function presentVideo(video) {
+  return video.overrides ? { ...video, ...video.overrides } : video;
+}
+
+// Filter by case-insensitive title substring and inclusive YYYY-MM-DD date bounds
+function queryVideos({ title, q, from, to, includeRemoved = false } = {}) {
+  const titleFilter = title ? title.toLowerCase() : null;
+  // Every whitespace-separated term must appear in the title or description
+  const terms = q ? q.toLowerCase().split(/\s+/).filter(Boolean) : [];
+  const fromTime = from ? new Date(from).getTime() : null;
+  const toTime = to ? new Date(to).getTime() + 24 * 60 * 60 * 1000 - 1 : null;
+  
+  return getAllVideos().map(presentVideo).filter(video => {
+    if (video.removed && !includeRemoved) {
+      return false;
+    }
+    
+    if (titleFilter && !(video.title || '').toLowerCase().includes(titleFilter)) {
+      return false;
+    }
+    
+    if (terms.length > 0) {
+      const haystack = `${video.title || ''}\n${video.description || ''}`.toLowerCase();
+      if (!terms.every(term => haystack.includes(term))) {
+        return false;
+      }
+    }
+    
+    const videoTime = new Date(video.date).getTime();
+    if (fromTime !== null && !(videoTime >= fromTime)) {
+      return false;
+    }
+    if (toTime !== null && !(videoTime <= toTime)) {
+      return false;
+    }
+    
+    return true;
+  });
+}
+
+function sortVideos(videos, sort = 'date', order = VIDEO_SORT_DEFAULT_ORDER[sort]) {
+  const getValue = VIDEO_SORT_FIELDS[sort];
+  const direction = order === 'asc' ? 1 : -1;
+  
+  return videos.slice().sort((a, b) => {
+    const valueA = getValue(a);
+    const valueB = getValue(b);
+    const compared = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+    // Fall back to newest first so equal keys still page deterministically
+    return compared * direction || VIDEO_SORT_FIELDS.date(b) - VIDEO_SORT_FIELDS.date(a);
+  });
+}
+
+// Sum the segment durations of a VOD's playlist; throws with the reason on failure
+async function probeVideoDuration(videoId) {
+  logger.debug('Fetching video duration', { videoId });
+  const m3u8Response = await fetchCachedText(`videos/v${videoId}.m3u8`, PLAYLIST_CACHE_TTL);
+  
+  if (!m3u8Response.ok) {
+    throw new Error(`Failed to fetch M3U8: HTTP ${m3u8Response.status}`);
+  }
+  
+  let m3u8Content = m3u8Response.text;
+  
+  // Master playlists carry no durations, so measure the first variant instead
+  const variants = parseMasterPlaylist(m3u8Content);
+  if (variants && variants.length > 0) {
+    const variantResponse = await fetchCachedText(`videos/${variants[0].uri}`, PLAYLIST_CACHE_TTL);
+    if (!variantResponse.ok) {
+      throw new Error(`Failed to fetch variant M3U8: HTTP ${variantResponse.status}`);
+    }
+    m3u8Content = variantResponse.text;
+  }
+  
+  let totalDuration = 0;
+  const lines = m3u8Content.split('\n');
+  
+  for (const line of lines) {
+    if (line.startsWith('#EXTINF:')) {
+      const match = line.match(/#EXTINF:([0-9.]+),/);
+      if (match) {
+        const duration = parseFloat(match[1]);
+        totalDuration += duration;
+      }
+    }
+  }
+  
+  if (totalDuration <= 0) {
+    throw new Error('Playlist has no segment durations');
+  }
+  
+  const roundedDuration = Math.round(totalDuration);
+  logger.debug('Fetched video duration', { videoId, duration: roundedDuration });
+  return roundedDuration;
+}
+
+async function getVideoDuration(videoId) {
+  try {
+    return await probeVideoDuration(videoId);
+  } catch (error) {
+    logger.warn('Failed to get video duration', { videoId, error: error.message });
+    return null;
+  }
+}
+
+async function loadJobHistory() {
+  try {
+    jobHistory = JSON.parse(await fs.readFile(SYNC_HISTORY_FILE, 'utf8'));
+    logger.info('Loaded sync history', { jobs: jobHistory.length });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Failed to load sync history', { error: error.message });
+    }
+  }
+}
+
+// Jobs can finish together, so writes are queued rather than racing on the temp file
+function saveJobHistory() {
+  const result = jobHistoryWriteQueue.then(async () => {
+    const tmpFile = `${SYNC_HISTORY_FILE}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(jobHistory));
+    await fs.rename(tmpFile, SYNC_HISTORY_FILE);
+  });
+  jobHistoryWriteQueue = result.catch(() => {});
+  return result;
+}
+
+function broadcastJobEvent(event, job) {
+  const payload = `event: ${event}\ndata: ${JSON.stringify(job)}\n\n`;
+  jobEventClients.forEach(client => client.write(payload));
+}
+
+function startJob(type, trigger) {
+  const job = {
+    id: crypto.randomBytes(6).toString('hex'),
+    type,
+    trigger,
+    status: 'running',
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    durationMs: null,
+    counts: {},
+    errors: [],
+    progress: null
+  };
+  
+  runningJobs.set(job.id, job);
+  broadcastJobEvent('started', job);
+  return job;
+}
+
+// Record per-item progress; SSE updates are throttled so fast loops don't flood clients
+function updateJobProgress(job, progress) {
+  job.progress = progress;
+  
+  const now = Date.now();
+  const last = jobLastBroadcast.get(job.id) || 0;
+  if (now - last >= SYNC_PROGRESS_THROTTLE || progress.current === progress.total) {
+    jobLastBroadcast.set(job.id, now);
+    broadcastJobEvent('progress', job);
+  }
+}
+
+function recordJobError(job, message, videoId) {
+  job.errors.push({ at: new Date().toISOString(), videoId: videoId || null, message });
+}
+
+function finishJob(job, status = 'completed') {
+  job.status = status;
+  job.finishedAt = new Date().toISOString();
+  job.durationMs = new Date(job.finishedAt) - new Date(job.startedAt);
+  
+  runningJobs.delete(job.id);
+  jobLastBroadcast.delete(job.id);
+  incrementMetric('sync_jobs_total', { type: job.type, status });
+  observeMetric('sync_job_duration_seconds', { type: job.type }, job.durationMs / 1000);
+  jobHistory.push(job);
+  if (jobHistory.length > SYNC_HISTORY_LIMIT) {
+    jobHistory = jobHistory.slice(-SYNC_HISTORY_LIMIT);
+  }
+  
+  broadcastJobEvent('finished', job);
+  saveJobHistory().catch(error => logger.error('Failed to save sync history', { error: error.message }));
+  return job;
+}
+
+function getLastJob(type) {
+  for (let i = jobHistory.length - 1; i >= 0; i--) {
+    if (jobHistory[i].type === type) return jobHistory[i];
+  }
+  return null;
+}
+
+// Sync metadata and emote maps, then index chat for new videos. Concurrent callers share the run in progress.
+function runFullSync(trigger) {
+  if (currentSync) {
+    return currentSync;
+  }
+  
+  currentSync = (async () => {
+    const job = startJob('sync', trigger);
+    const result = await syncMetadata(job);
+    await loadEmoteMappings();
+    buildChatIndex(trigger); // Index chat for any new videos in the background
+    
+    const { error, ...counts } = result;
+    job.counts = counts;
+    if (error) {
+      recordJobError(job, error);
+    }
+    return finishJob(job, error ? 'failed' : 'completed');
+  })().finally(() => {
+    currentSync = null;
+  });
+  
+  return currentSync;
+}
+
+function needsDurationBackfill(video) {
+  if (video.removed) return false;
+  if (Number.isFinite(video.duration) && video.duration >= DURATION_MIN_PLAUSIBLE) return false;
+  
+  // A successful re-probe that still came back short is taken at its word
+  return !(video.durationProbe && video.durationProbe.verified);
+}
+
+function getDurationBackfillDelay(attempts) {
+  return Math.min(DURATION_BACKFILL_MAX_DELAY, DURATION_BACKFILL_BASE_DELAY * Math.pow(2, attempts - 1));
+}
+
+async function runDurationBackfill() {
+  if (durationBackfillRunning) return;
+  
+  durationBackfillRunning = true;
+  let job = null;
+  try {
+    const now = Date.now();
+    const due = Array.from(videoStore.entries()).filter(([key, video]) => {
+      if (!needsDurationBackfill(video)) return false;
+      const probe = video.durationProbe;
+      if (!probe) return true;
+      return probe.attempts < DURATION_BACKFILL_MAX_ATTEMPTS && new Date(probe.nextAttempt).getTime() <= now;
+    });
+    
+    if (due.length === 0) return;
+    logger.info('Backfilling durations', { videos: due.length });
+    job = startJob('duration-backfill', 'scheduled');
+    job.counts = { fixed: 0, failed: 0 };
+    
+    for (const [index, [key, video]] of due.entries()) {
+      updateJobProgress(job, { current: index + 1, total: due.length, videoId: video.vodid });
+
+      const attempts = ((video.durationProbe && video.durationProbe.attempts) || 0) + 1;
+      const lastAttempt = new Date().toISOString();
+      const updated = { ...video };
+      
+      try {
+        updated.duration = await probeVideoDuration(video.vodid);
+        updated.durationProbe = { attempts, lastAttempt, verified: true };
+        job.counts.fixed++;
+        logger.info('Backfilled duration', { videoId: video.vodid, attempts });
+      } catch (error) {
+        updated.durationProbe = {
+          attempts,
+          lastAttempt,
+          nextAttempt: new Date(Date.now() + getDurationBackfillDelay(attempts)).toISOString(),
+          lastError: error.message
+        };
+        job.counts.failed++;
+        recordJobError(job, error.message, video.vodid);
+        logger.warn('Duration backfill failed', { videoId: video.vodid, attempts, error: error.message });
+      }
+      
+      // Only the probe's fields, and only if a sync hasn't pointed the entry at another VOD meanwhile
+      await updateVideo(key, current => (current && current.vodid === video.vodid
+        ? { ...current, duration: updated.duration, durationProbe: updated.durationProbe }
+        : null));
+    }
+    finishJob(job);
+  } catch (error) {
+    logger.error('Error running duration backfill', { error });
+    if (job) {
+      recordJobError(job, error.message);
+      finishJob(job, 'failed');
+    }
+  } finally {
+    durationBackfillRunning = false;
+  }
+}
+
+async function syncMetadata(job = null) {
+  const result = { added: 0, updated: 0, removed: 0, restored: 0 };
+  
+  try {
+    if (OFFLINE && !UPSTREAM_IS_LOCAL) {
+      logger.info('Offline mode: skipping metadata sync', { videos: videoStore.size });
+      return result;
+    }
+    
+    logger.info('Syncing video metadata');
+    const response = await fetchUpstream('videos.json');
+    if (!response.ok) {
+      throw new Error(`Failed to fetch videos.json: HTTP ${response.status}`);
+    }
+    const remoteVideos = await response.json();
+    
+    logger.debug('Fetched remote video index', { videos: Object.keys(remoteVideos).length, sample: Object.entries(remoteVideos)[0] });
+    
+    const changedVideos = [];
+    const remoteEntries = Object.entries(remoteVideos);
+    
+    for (const [index, [indexKey, videoData]] of remoteEntries.entries()) {
+      const actualVodId = videoData.vodid || indexKey;
+      const existing = getVideo(indexKey);
+      
+      if (job) {
+        updateJobProgress(job, { current: index + 1, total: remoteEntries.length, videoId: actualVodId });
+      }
+      
+      if (!existing) {
+        logger.info('New video found', { indexKey, videoId: actualVodId, title: videoData.title });
+        
+        const duration = await getVideoDuration(actualVodId);
+        
+        // Written one at a time so a long first sync keeps its progress if interrupted
+        await putVideo(indexKey, {
+          vodid: actualVodId,
+          title: videoData.title,
+          description: videoData.description,
+          date: videoData.date,
+          duration,
+          lastUpdated: new Date().toISOString()
+        });
+        
+        result.added++;
+        continue;
+      }
+      
+      const remoteFields = { ...videoData, vodid: actualVodId };
+      const changes = {};
+      SYNCED_VIDEO_FIELDS.forEach(field => {
+        if ((existing[field] || null) !== (remoteFields[field] || null)) {
+          changes[field] = { from: existing[field], to: remoteFields[field] };
+        }
+      });
+      
+      const wasRemoved = Boolean(existing.removed);
+      if (Object.keys(changes).length === 0 && !wasRemoved) continue;
+      
+      const now = new Date().toISOString();
+      // Only the upstream fields that changed; everything else is taken from the record at write time
+      const patch = { lastUpdated: now };
+      SYNCED_VIDEO_FIELDS.forEach(field => {
+        if (changes[field]) {
+          patch[field] = remoteFields[field];
+        }
+      });
+      
+      // A different VOD behind the same index needs its own duration
+      if (changes.vodid) {
+        patch.duration = await getVideoDuration(actualVodId);
+      }
+      
+      const revision = wasRemoved ? { at: now, restored: true, changes } : { at: now, changes };
+      if (wasRemoved) {
+        logger.info('Video restored upstream', { indexKey, videoId: actualVodId, title: remoteFields.title });
+        result.restored++;
+      } else {
+        logger.info('Video edited upstream', { indexKey, videoId: actualVodId, fields: Object.keys(changes) });
+        result.updated++;
+      }
+      
+      changedVideos.push({
+        key: indexKey,
+        update: current => {
+          if (!current) return null;
+          const video = { ...current, ...patch, revisions: [...(current.revisions || []), revision] };
+          if (wasRemoved) {
+            delete video.removed;
+            delete video.removedAt;
+          }
+          return video;
+        }
+      });
+    }
+    
+    // An empty listing is far more likely an upstream hiccup than every VOD being deleted
+    if (Object.keys(remoteVideos).length > 0) {
+      for (const [indexKey, video] of videoStore) {
+        if (remoteVideos[indexKey] || video.removed) continue;
+        
+        const now = new Date().toISOString();
+        logger.info('Video removed upstream', { indexKey, videoId: video.vodid, title: video.title });
+        changedVideos.push({
+          key: indexKey,
+          update: current => (current && !current.removed ? {
+            ...current,
+            removed: true,
+            removedAt: now,
+            revisions: [...(current.revisions || []), { at: now, removed: true }],
+            lastUpdated: now
+          } : null)
+        });
+        result.removed++;
+      }
+    } else {
+      logger.warn('Upstream returned no videos, skipping removal detection');
+    }
+    
+    if (changedVideos.length > 0) {
+      await updateVideos(changedVideos);
+    }
+    
+    if (result.added + result.updated + result.removed + result.restored > 0) {
+      logger.info('Metadata updated', { ...result });
+    } else {
+      logger.info('No metadata changes found');
+    }
+    
+    logger.debug('Local metadata size', { videos: videoStore.size });
+  } catch (error) {
+    logger.error('Error syncing metadata', { error });
+    result.error = error.message;
+  }
+  
+  return result;
+}
+
+// Run fn over items with at most `limit` calls in flight, preserving result order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+  
+  await Promise.all(workers);
+  return results;
+}
+
+async function getChatTimecodes(videoId) {
+  const cached = chatTimecodesCache.get(videoId);
+  if (cached && Date.now() - cached.fetchedAt < CHAT_TIMECODES_TTL) {
+    return cached.timecodes;
+  }
+  
+  const response = await fetchCachedText(`comments/${videoId}/timecodes.json`, CHAT_TIMECODES_TTL);
+  
+  // A missing timecodes file means no chat was archived for this video
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`Failed to fetch chat timecodes for ${videoId}: HTTP ${response.status}`);
+  }
+  
+  const timecodes = response.ok
+    ? JSON.parse(response.text).map(t => parseInt(t)).filter(t => !isNaN(t)).sort((a, b) => a - b)
+    : [];
+  
+  chatTimecodesCache.set(videoId, { timecodes, seconds: new Set(timecodes), fetchedAt: Date.now() });
+  return timecodes;
+}
+
+// A listed second that's missing upstream has no chat; any other failure throws so callers can retry
+async function requestChatSecond(videoId, t) {
+  const response = await fetchUpstream(`comments/${videoId}/${t}.json`);
+  if (response.status === 404) {
+    return [];
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch chat for ${videoId} at ${t}s: HTTP ${response.status}`);
+  }
+  return await response.json();
+}
+
+async function fetchChatSecond(videoId, t) {
+  const key = `${videoId}/${t}`;
+  
+  if (chatSecondCache.has(key)) {
+    // Re-insert to mark as most recently used
+    const messages = chatSecondCache.get(key);
+    chatSecondCache.delete(key);
+    chatSecondCache.set(key, messages);
+    return messages;
+  }
+  
+  // Archived chat never changes, so the disk copy never expires. Only a 404 means "no chat";
+  // other failures throw so a transient upstream error isn't remembered as an empty second.
+  const response = await fetchCachedText(`comments/${videoId}/${t}.json`);
+  if (!response.ok && response.status !== 404) {
+    throw new Error(`Failed to fetch chat for ${videoId} at ${t}s: HTTP ${response.status}`);
+  }
+  const messages = response.ok ? JSON.parse(response.text) : [];
+  
+  chatSecondCache.set(key, messages);
+  if (chatSecondCache.size > CHAT_CACHE_MAX_SECONDS) {
+    chatSecondCache.delete(chatSecondCache.keys().next().value);
+  }
+  
+  return messages;
+}
+
+// Messages for start..end (inclusive seconds), each tagged with video_timestamp, in playback order.
+// Returns { messages, complete }; complete is false when some seconds couldn't be fetched and were skipped.
+async function getChatRange(videoId, start, end) {
+  // Only request seconds that are known to have chat
+  await getChatTimecodes(videoId);
+  const { seconds } = chatTimecodesCache.get(videoId);
+  const wanted = [];
+  for (let t = start; t <= end; t++) {
+    if (seconds.has(t)) wanted.push(t);
+  }
+  
+  let failedSeconds = 0;
+  const perSecond = await mapWithConcurrency(wanted, CHAT_FETCH_CONCURRENCY, async t => {
+    try {
+      const messages = await fetchChatSecond(videoId, t);
+      // Add timestamp to each message for sorting
+      return messages.map(msg => ({ ...msg, video_timestamp: t }));
+    } catch (err) {
+      // Skip failed requests for individual seconds
+      failedSeconds++;
+      return [];
+    }
+  });
+  
+  const allMessages = perSecond.flat();
+  
+  // Sort messages by timestamp
+  allMessages.sort((a, b) => {
+    if (a.video_timestamp !== b.video_timestamp) {
+      return a.video_timestamp - b.video_timestamp;
+    }
+    // If same video timestamp, sort by message timestamp
+    return (a.timestamp || 0) - (b.timestamp || 0);
+  });
+  
+  if (failedSeconds > 0) {
+    logger.warn('Skipped chat seconds that failed to fetch', { videoId, start, end, failedSeconds });
+  }
+  return { messages: allMessages, complete: failedSeconds === 0 };
+}
+
+// Chat messages per CHAT_DENSITY_BUCKET seconds of video. Counts are exact once the video's chat is indexed;
+// before that only timecodes.json is available, so each second with chat counts once. An incomplete index
+// would pass off its gaps as quiet stretches, so it's treated as no index (indexed: false).
+async function getChatDensity(videoId) {
+  const timecodes = await getChatTimecodes(videoId);
+  const entry = chatIndex[videoId];
+  const indexed = Boolean(entry) && isChatIndexComplete(entry, timecodes);
+  const times = indexed ? entry.messages.map(msg => msg.t) : timecodes;
+  
+  const counts = [];
+  for (const t of times) {
+    const bucket = Math.floor(t / CHAT_DENSITY_BUCKET);
+    while (counts.length <= bucket) counts.push(0);
+    counts[bucket]++;
+  }
+  
+  return {
+    videoId,
+    indexed,
+    source: indexed ? 'index' : 'timecodes',
+    bucketSize: CHAT_DENSITY_BUCKET,
+    total: times.length,
+    peak: counts.reduce((max, count) => Math.max(max, count), 0),
+    counts
+  };
+}
+
+function getMedian(values) {
+  if (values.length === 0) return 0;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Emotes and bits in one indexed message's text, using the same emote maps and cheer tiers as the chat sidebar
+function analyzeChatText(text) {
+  const cheers = global.cheersData || {};
+  const emotes = new Set();
+  let bits = 0;
+  
+  for (const word of text.split(/\s+/)) {
+    const cheerMatch = word.match(/^([a-zA-Z]+)(\d+)$/);
+    if (cheerMatch && hasOwn(cheers, cheerMatch[1])) {
+      bits += parseInt(cheerMatch[2]);
+    } else if (hasOwn(thirdPartyEmotes, word) || hasOwn(firstPartyEmotes, word)) {
+      emotes.add(word);
+    }
+  }
+  
+  return { emotes, bits };
+}
+
+// Score every window of indexed chat for bursts, emote spam and big cheers, then keep the best
+// window from each stretch of activity. Returns highlights ranked by score, best first.
+function detectChatHighlights(messages) {
+  if (messages.length === 0) return [];
+  
+  const analyzed = messages.map(msg => ({ ...msg, ...analyzeChatText(msg.text) }));
+  const lastSecond = analyzed.reduce((max, msg) => Math.max(max, msg.t), 0);
+  
+  // Messages grouped by window step so each window only walks its own chat
+  const bySteps = [];
+  for (const msg of analyzed) {
+    const step = Math.floor(msg.t / HIGHLIGHT_STEP);
+    (bySteps[step] = bySteps[step] || []).push(msg);
+  }
+  const stepsPerWindow = Math.ceil(HIGHLIGHT_WINDOW / HIGHLIGHT_STEP);
+  
+  const windows = [];
+  for (let step = 0; step * HIGHLIGHT_STEP <= lastSecond; step++) {
+    const windowMessages = [];
+    for (let i = step; i < step + stepsPerWindow; i++) {
+      if (bySteps[i]) windowMessages.push(...bySteps[i]);
+    }
+    windows.push({ start: step * HIGHLIGHT_STEP, messages: windowMessages });
+  }
+  
+  // Quiet stretches shouldn't drag the baseline down, so only windows with chat count
+  const baseline = Math.max(1, getMedian(windows.filter(w => w.messages.length > 0).map(w => w.messages.length)));
+  
+  const candidates = [];
+  for (const { start, messages: windowMessages } of windows) {
+    if (windowMessages.length === 0) continue;
+    
+    const emoteCounts = new Map();
+    let bits = 0;
+    for (const msg of windowMessages) {
+      msg.emotes.forEach(emote => emoteCounts.set(emote, (emoteCounts.get(emote) || 0) + 1));
+      bits += msg.bits;
+    }
+    const [topEmote, topEmoteCount] = Array.from(emoteCounts.entries())
+      .reduce((best, entry) => (entry[1] > best[1] ? entry : best), [null, 0]);
+    
+    const ratio = windowMessages.length / baseline;
+    const emoteShare = topEmoteCount / windowMessages.length;
+    const reasons = [];
+    let score = 0;
+    
+    if (ratio >= HIGHLIGHT_BURST_RATIO && windowMessages.length >= HIGHLIGHT_MIN_MESSAGES) {
+      reasons.push('burst');
+      score += ratio;
+    }
+    if (topEmoteCount >= HIGHLIGHT_MIN_EMOTE_MESSAGES && emoteShare >= HIGHLIGHT_MIN_EMOTE_SHARE) {
+      reasons.push('emotes');
+      score += 1 + emoteShare * ratio;
+    }
+    if (bits >= HIGHLIGHT_MIN_BITS) {
+      reasons.push('cheers');
+      score += Math.log10(bits);
+    }
+    if (reasons.length === 0) continue;
+    
+    candidates.push({
+      start,
+      end: start + HIGHLIGHT_WINDOW,
+      time: Math.max(0, start - HIGHLIGHT_LEAD_IN),
+      score: Math.round(score * 100) / 100,
+      reasons,
+      messages: windowMessages.length,
+      ratio: Math.round(ratio * 10) / 10,
+      emote: reasons.includes('emotes') ? { name: topEmote, messages: topEmoteCount } : null,
+      bits,
+      message: pickRepresentativeMessage(windowMessages, reasons, topEmote)
+    });
+  }
+  
+  candidates.sort((a, b) => b.score - a.score);
+  
+  const highlights = [];
+  for (const candidate of candidates) {
+    if (highlights.every(h => Math.abs(h.start - candidate.start) >= HIGHLIGHT_MIN_GAP)) {
+      highlights.push(candidate);
+    }
+  }
+  return highlights;
+}
+
+// The biggest cheer for cheer highlights; otherwise the most repeated message (preferring ones
+// with the spammed emote), which is usually what chat was reacting with
+function pickRepresentativeMessage(messages, reasons, topEmote) {
+  const present = msg => ({ t: msg.t, user: msg.user, text: msg.text });
+  
+  if (reasons.length === 1 && reasons[0] === 'cheers') {
+    return present(messages.reduce((best, msg) => (msg.bits > best.bits ? msg : best)));
+  }
+  
+  const pool = reasons.includes('emotes') ? messages.filter(msg => msg.emotes.has(topEmote)) : messages;
+  const repeats = new Map(); // normalized text -> { first message with it, count }
+  let best = null;
+  for (const msg of pool) {
+    const key = msg.text.trim().toLowerCase();
+    if (!key) continue;
+    const repeat = repeats.get(key) || { msg, count: 0 };
+    repeat.count++;
+    repeats.set(key, repeat);
+    if (!best || repeat.count > best.count) {
+      best = repeat;
+    }
+  }
+  return present(best ? best.msg : pool[0]);
+}
+
+function getChatHighlights(videoId) {
+  const indexed = chatIndex[videoId];
+  if (!indexed) return null;
+  
+  // Index entries never change once written, so one analysis per entry is enough
+  const cached = chatHighlightsCache.get(videoId);
+  if (cached && cached.indexedAt === indexed.indexedAt) {
+    return cached.highlights;
+  }
+  
+  const highlights = detectChatHighlights(indexed.messages);
+  chatHighlightsCache.set(videoId, { indexedAt: indexed.indexedAt, highlights });
+  return highlights;
+}
+
+function getChatMessageText(message) {
+  if (message.message && message.message.fragments) {
+    return message.message.fragments.map(fragment => fragment.text).join('');
+  }
+  return (message.message && message.message.body) || message.body || '';
+}
+
+async function loadChatIndex() {
+  try {
+    await fs.mkdir(CHAT_INDEX_DIR, { recursive: true });
+    const files = await fs.readdir(CHAT_INDEX_DIR);
+    
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const data = await fs.readFile(path.join(CHAT_INDEX_DIR, file), 'utf8');
+        chatIndex[file.replace('.json', '')] = JSON.parse(data);
+      } catch (error) {
+        logger.warn('Skipping unreadable chat index file', { file, error: error.message });
+      }
+    }
+    
+    logger.info('Loaded chat index', { videos: Object.keys(chatIndex).length });
+  } catch (error) {
+    logger.error('Failed to load chat index', { error });
+  }
+}
+
+async function indexVideoChat(videoId) {
+  const timecodes = await getChatTimecodes(videoId);
+  
+  // Indexing walks whole videos, so bypass the second cache to keep it for playback
+  let failedSeconds = 0;
+  const perSecond = await mapWithConcurrency(timecodes, CHAT_FETCH_CONCURRENCY, async t => {
+    try {
+      const secondMessages = await requestChatSecond(videoId, t);
+      return secondMessages.map(msg => {
+        const body = msg.message || {};
+        const entry = {
+          t,
+          user: body.display_name || (msg.commenter && msg.commenter.display_name) || 'Anonymous',
+          text: getChatMessageText(msg)
+        };
+        // Keep what chat rendering needs, and only when it adds anything over the plain text
+        if (body.user_color) entry.color = body.user_color;
+        if (body.user_badges && body.user_badges.length > 0) entry.badges = body.user_badges;
+        if (body.fragments && body.fragments.some(fragment => fragment.emoticon)) entry.fragments = body.fragments;
+        return entry;
+      });
+    } catch (err) {
+      failedSeconds++;
+      return [];
+    }
+  });
+  
+  // A partial index would never be revisited, so fail the whole video and let the next build retry it
+  if (failedSeconds > 0) {
+    const error = new Error(`Failed to fetch ${failedSeconds} of ${timecodes.length} chat seconds for ${videoId}`);
+    error.failedSeconds = failedSeconds;
+    throw error;
+  }
+  
+  return { seconds: timecodes.length, messages: perSecond.flat() };
+}
+
+// Entries record how many chat seconds they covered. Older ones don't, and may have been written
+// from a build that skipped failed seconds, so an empty one for a video with chat can't be trusted.
+function isChatIndexComplete(entry, timecodes) {
+  if (entry.seconds !== undefined) {
+    return entry.seconds >= timecodes.length;
+  }
+  return entry.messages.length > 0 || timecodes.length === 0;
+}
+
+async function buildChatIndex(trigger = 'scheduled') {
+  if (chatIndexBuilding) {
+    logger.debug('Chat index build already in progress');
+    return;
+  }
+  if (OFFLINE && !UPSTREAM_IS_LOCAL) {
+    logger.info('Offline mode: skipping chat index build');
+    return;
+  }
+  
+  chatIndexBuilding = true;
+  let job = null;
+  try {
+    const pending = getAllVideos().filter(video => !video.removed &&
+      (!chatIndex[video.vodid] || chatIndex[video.vodid].version !== CHAT_INDEX_VERSION));
+    
+    if (pending.length === 0) {
+      logger.debug('Chat index is up to date');
+      return;
+    }
+    
+    logger.info('Indexing chat', { videos: pending.length });
+    job = startJob('chat-index', trigger);
+    job.counts = { indexed: 0, failed: 0, failedSeconds: 0, messages: 0 };
+    await fs.mkdir(CHAT_INDEX_DIR, { recursive: true });
+    
+    for (const [index, video] of pending.entries()) {
+      updateJobProgress(job, { current: index + 1, total: pending.length, videoId: video.vodid });
+      try {
+        const { seconds, messages } = await indexVideoChat(video.vodid);
+        const entry = { version: CHAT_INDEX_VERSION, indexedAt: new Date().toISOString(), seconds, messages };
+        
+        await fs.writeFile(path.join(CHAT_INDEX_DIR, `${video.vodid}.json`), JSON.stringify(entry));
+        chatIndex[video.vodid] = entry;
+        job.counts.indexed++;
+        job.counts.messages += messages.length;
+        logger.info('Indexed chat messages', { videoId: video.vodid, messages: messages.length });
+      } catch (error) {
+        // Leave the video unindexed so the next build retries it
+        job.counts.failed++;
+        job.counts.failedSeconds += error.failedSeconds || 0;
+        recordJobError(job, error.message, video.vodid);
+        logger.warn('Failed to index chat', { videoId: video.vodid, failedSeconds: error.failedSeconds, error: error.message });
+      }
+    }
+    
+    finishJob(job);
+  } catch (error) {
+    logger.error('Error building chat index', { error });
+    if (job) {
+      recordJobError(job, error.message);
+      finishJob(job, 'failed');
+    }
+  } finally {
+    chatIndexBuilding = false;
+  }
+}
+
+async function searchChatIndex(query, limit) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  // Search newest videos first so the most recent matches fill the limit
+  const videos = getAllVideos()
+    .filter(video => !video.removed && chatIndex[video.vodid])
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+  
+  const results = [];
+  let total = 0;
+  
+  for (const video of videos) {
+    for (const msg of chatIndex[video.vodid].messages) {
+      const text = msg.text.toLowerCase();
+      if (!terms.every(term => text.includes(term))) continue;
+      
+      total++;
+      if (results.length < limit) {
+        results.push({
+          videoId: video.vodid,
+          title: presentVideo(video).title,
+          date: presentVideo(video).date,
+          time: msg.t,
+          user: msg.user,
+          text: msg.text
+        });
+      }
+    }
+  }
+  
+  return { total, results, indexedVideos: videos.length, totalVideos: videoStore.size };
+}
+
+// Point every relative segment, init segment and key URI in a media playlist at a proxy route
+function rewritePlaylistSegments(m3u8Content, prefix = '/api/segment/') {
+  return m3u8Content.replace(
+    /URI="(?!https?:\/\/|\/)([^"]+)"/g,
+    `URI="${prefix}$1"`
+  ).replace(
+    /^(?!https?:\/\/|#|\/)(\S.*)$/gm,
+    `${prefix}$1`
+  );
+}
+
+function normalizeVideoId(videoId) {
+  let cleanVideoId = videoId;
+  if (cleanVideoId.startsWith('v')) {
+    cleanVideoId = cleanVideoId.substring(1);
+  }
+  if (cleanVideoId.endsWith('.mp4')) {
+    cleanVideoId = cleanVideoId.replace('.mp4', '');
+  }
+  return cleanVideoId;
+}
+
+function parsePlaylistAttributes(attributeList) {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = pattern.exec(attributeList)) !== null) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attributes;
+}
+
+// Returns [{ attributes, uri }] for each variant of a master playlist, or null for a media playlist
+function parseMasterPlaylist(m3u8Content) {
+  if (!m3u8Content.includes('#EXT-X-STREAM-INF')) {
+    return null;
+  }
+  
+  const variants = [];
+  const lines = m3u8Content.split('\n').map(line => line.trim());
+  
+  lines.forEach((line, index) => {
+    if (!line.startsWith('#EXT-X-STREAM-INF:')) return;
+    
+    const uri = lines.slice(index + 1).find(next => next && !next.startsWith('#'));
+    if (uri) {
+      variants.push({ attributes: parsePlaylistAttributes(line.substring('#EXT-X-STREAM-INF:'.length)), uri });
+    }
+  });
+  
+  return variants;
+}
+
+// Route params arrive URL-decoded, so a videoId like "../.." must not be joined into a path as-is.
+// Returns null unless the directory is a direct child of RENDITIONS_DIR.
+function getRenditionDir(videoId) {
+  const dir = path.resolve(RENDITIONS_DIR, videoId);
+  return path.dirname(dir) === path.resolve(RENDITIONS_DIR) ? dir : null;
+}
 
-// Load emote mappings on startup
-async function loadEmoteMappings() {
+async function loadLocalRenditions(videoId) {
+  const dir = getRenditionDir(videoId);
+  if (!dir) {
+    return [];
+  }
+  
   try {
-    console.log('Loading emote mappings...');
-    
-    const [firstPartyResponse, thirdPartyResponse, cheersResponse] = await Promise.all([
-      fetch('https://barbarian.men/macaw45/first_party_emotes.json'),
-      fetch('https://barbarian.men/macaw45/third_party_emotes.json'),
-      fetch('https://barbarian.men/macaw45/cheers.json')
-    ]);
-    
-    if (firstPartyResponse.ok) {
-      firstPartyEmotes = await firstPartyResponse.json();
-      console.log(`Loaded ${Object.keys(firstPartyEmotes).length} first-party emotes`);
+    const data = await fs.readFile(path.join(dir, 'renditions.json'), 'utf8');
+    return JSON.parse(data).filter(rendition => rendition.name && rendition.playlist);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Failed to read local renditions', { videoId, error: error.message });
     }
-    
-    if (thirdPartyResponse.ok) {
-      thirdPartyEmotes = await thirdPartyResponse.json();
-      console.log(`Loaded ${Object.keys(thirdPartyEmotes).length} third-party emotes`);
+    return [];
+  }
+}
+
+// Collect every rendition of a VOD: the upstream playlist (or each of its variants) plus local transcodes.
+// Returns null if the VOD doesn't exist upstream.
+async function getVideoRenditions(videoId) {
+  const response = await fetchCachedText(`videos/v${videoId}.m3u8`, PLAYLIST_CACHE_TTL);
+  if (!response.ok) {
+    return null;
+  }
+  
+  const renditions = [];
+  const variants = parseMasterPlaylist(response.text);
+  
+  if (variants) {
+    variants.forEach((variant, index) => {
+      renditions.push({
+        id: `upstream-${index}`,
+        type: 'upstream',
+        playlist: `videos/${variant.uri}`,
+        bandwidth: parseInt(variant.attributes.BANDWIDTH) || SOURCE_BANDWIDTH,
+        resolution: variant.attributes.RESOLUTION,
+        codecs: variant.attributes.CODECS
+      });
+    });
+  } else {
+    renditions.push({
+      id: 'source',
+      type: 'upstream',
+      playlist: `videos/v${videoId}.m3u8`,
+      bandwidth: SOURCE_BANDWIDTH
+    });
+  }
+  
+  const localRenditions = await loadLocalRenditions(videoId);
+  localRenditions.forEach(rendition => {
+    renditions.push({
+      id: rendition.name,
+      type: 'local',
+      playlist: rendition.playlist,
+      bandwidth: parseInt(rendition.bandwidth) || SOURCE_BANDWIDTH,
+      resolution: rendition.resolution,
+      codecs: rendition.codecs
+    });
+  });
+  
+  return renditions.sort((a, b) => b.bandwidth - a.bandwidth);
+}
+
+// Split a media playlist into segments with their start times. Tags between segments
+// (discontinuities, program dates) stay attached to the segment that follows them. Keys and
+// init segments apply until replaced, so each segment records the #EXT-X-KEY and #EXT-X-MAP
+// in effect for it ({ line, uri }, or null).
+function parseMediaPlaylist(m3u8Content) {
+  const playlist = { version: null, targetDuration: null, mediaSequence: 0, encrypted: false, hasByteRanges: false, segments: [] };
+  let pendingTags = [];
+  let pendingDuration = null;
+  let time = 0;
+  let key = null;
+  let map = null;
+  
+  m3u8Content.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    if (line.startsWith('#EXT-X-VERSION:')) {
+      playlist.version = parseInt(line.substring('#EXT-X-VERSION:'.length));
+    } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      playlist.targetDuration = parseInt(line.substring('#EXT-X-TARGETDURATION:'.length));
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      playlist.mediaSequence = parseInt(line.substring('#EXT-X-MEDIA-SEQUENCE:'.length)) || 0;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      const attributes = parsePlaylistAttributes(line.substring('#EXT-X-KEY:'.length));
+      key = { line, uri: attributes.URI || null };
+      if (attributes.METHOD !== 'NONE') {
+        playlist.encrypted = true;
+      }
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      const attributes = parsePlaylistAttributes(line.substring('#EXT-X-MAP:'.length));
+      map = { line, uri: attributes.URI || null };
+      if (attributes.BYTERANGE) {
+        playlist.hasByteRanges = true;
+      }
+    } else if (line.startsWith('#EXTINF:')) {
+      pendingDuration = parseFloat(line.substring('#EXTINF:'.length)) || 0;
+    } else if (['#EXT-X-DISCONTINUITY', '#EXT-X-PROGRAM-DATE-TIME', '#EXT-X-BYTERANGE'].some(tag => line.startsWith(tag))) {
+      if (line.startsWith('#EXT-X-BYTERANGE')) {
+        playlist.hasByteRanges = true;
+      }
+      pendingTags.push(line);
+    } else if (!line.startsWith('#') && pendingDuration !== null) {
+      playlist.segments.push({ uri: line, duration: pendingDuration, start: time, tags: pendingTags, key, map });
+      time += pendingDuration;
+      pendingTags = [];
+      pendingDuration = null;
     }
-    
-    if (cheersResponse.ok) {
-      const cheers = await cheersResponse.json();
-      // Store cheers data in the global variable for the server endpoints
-      global.cheersData = cheers;
-      console.log(`Loaded ${Object.keys(cheers).length} cheer providers`);
+  });
+  
+  return playlist;
+}
+
+// The segments that overlap [start, end), plus where the first one starts and its index
+function trimMediaPlaylist(playlist, start, end) {
+  const firstIndex = playlist.segments.findIndex(segment => segment.start + segment.duration > start);
+  if (firstIndex === -1) {
+    return null;
+  }
+  
+  const segments = playlist.segments.slice(firstIndex).filter(segment => segment.start < end);
+  return { segments, firstIndex, offset: start - segments[0].start };
+}
+
+function buildTrimmedPlaylist(playlist, trimmed) {
+  const targetDuration = playlist.targetDuration || Math.ceil(Math.max(...trimmed.segments.map(segment => segment.duration)));
+  const lines = [
+    '#EXTM3U',
+    `#EXT-X-VERSION:${playlist.version || 3}`,
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+    // Keeps sequence-derived AES-128 IVs the same as in the original playlist
+    `#EXT-X-MEDIA-SEQUENCE:${playlist.mediaSequence + trimmed.firstIndex}`,
+    // Players start at the requested in point rather than the first segment boundary
+    `#EXT-X-START:TIME-OFFSET=${trimmed.offset.toFixed(3)},PRECISE=YES`
+  ];
+  
+  // Repeat the key and init segment in effect at the cut, then again wherever they change
+  let key = null;
+  let map = null;
+  trimmed.segments.forEach(segment => {
+    if (segment.key && segment.key !== key) {
+      lines.push(segment.key.line);
     }
-  } catch (error) {
-    console.error('Failed to load emote mappings:', error);
+    if (segment.map && segment.map !== map) {
+      lines.push(segment.map.line);
+    }
+    key = segment.key;
+    map = segment.map;
+    lines.push(...segment.tags, `#EXTINF:${segment.duration.toFixed(3)},`, segment.uri);
+  });
+  lines.push('#EXT-X-ENDLIST');
+  
+  return lines.join('\n') + '\n';
+}
+
+// Load an upstream rendition's media playlist for export, defaulting to the highest bandwidth.
+// Returns { playlist, segmentDir } with segment URIs relative to videos/{segmentDir}, or null.
+async function loadExportPlaylist(videoId, renditionId) {
+  const renditions = await getVideoRenditions(videoId);
+  const upstreamRenditions = (renditions || []).filter(rendition => rendition.type === 'upstream');
+  const rendition = renditionId
+    ? upstreamRenditions.find(candidate => candidate.id === renditionId)
+    : upstreamRenditions[0];
+  if (!rendition) {
+    return null;
+  }
+  
+  const response = await fetchCachedText(rendition.playlist, PLAYLIST_CACHE_TTL);
+  if (!response.ok) {
+    return null;
   }
+  
+  const playlistDir = path.posix.dirname(rendition.playlist.replace(/^videos\//, ''));
+  return {
+    rendition: rendition.id,
+    playlist: parseMediaPlaylist(response.text),
+    segmentDir: playlistDir === '.' ? '' : `${playlistDir}/`
+  };
 }
 
-async function loadMetadata() {
-  try {
-    const data = await fs.readFile(METADATA_FILE, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    console.log('No existing metadata file, starting fresh');
-    return {};
+// Parse and check the start/end query parameters; sends a 400 and returns null if invalid
+function parseExportRange(req, res) {
+  // Number('') is 0, so empty and repeated parameters have to be ruled out first
+  const isBound = value => typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+  const start = Number(req.query.start);
+  const end = Number(req.query.end);
+  
+  if (!isBound(req.query.start) || !isBound(req.query.end) || start < 0 || end <= start) {
+    res.status(400).json({ error: 'start and end must be seconds with start < end' });
+    return null;
+  }
+  if (end - start > EXPORT_MAX_LENGTH) {
+    res.status(400).json({ error: `Exports can be at most ${EXPORT_MAX_LENGTH} seconds long` });
+    return null;
   }
+  return { start, end };
 }
 
-async function saveMetadata(metadata) {
-  await fs.writeFile(METADATA_FILE, JSON.stringify(metadata, null, 2));
+// A readable stream of an upstream file, from the disk cache when possible
+async function openUpstreamStream(upstreamPath) {
+  const entry = CACHE_ENABLED ? getCacheEntry(upstreamPath) : null;
+  const cached = entry && await openCacheEntryStream(entry);
+  if (cached) {
+    return cached;
+  }
+  
+  const response = await fetchUpstream(upstreamPath);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${upstreamPath}: HTTP ${response.status}`);
+  }
+  return response.body;
 }
 
-async function getVideoDuration(videoId) {
-  try {
-    console.log(`Fetching duration for video ${videoId}...`);
-    const m3u8Response = await fetch(`https://barbarian.men/macaw45/videos/v${videoId}.m3u8`);
-    
-    if (!m3u8Response.ok) {
-      console.error(`Failed to fetch M3U8 for ${videoId}: HTTP ${m3u8Response.status}`);
-      return null;
+// Pipe one file into a response that stays open for the next; settles early if the client goes away
+function pipeWithoutEnding(readable, res) {
+  return new Promise((resolve, reject) => {
+    const onClose = () => {
+      readable.destroy();
+      resolve();
+    };
+    res.once('close', onClose);
+    readable.on('end', () => {
+      res.off('close', onClose);
+      resolve();
+    });
+    readable.on('error', error => {
+      res.off('close', onClose);
+      reject(error);
+    });
+    readable.pipe(res, { end: false });
+  });
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// H:MM:SS, or M:SS under an hour, matching the player's timestamps
+function formatTimestamp(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.floor(seconds % 60);
+  
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, '0')}:${String(secs).padStart(2, '0')}`;
+  }
+  return `${minutes}:${String(secs).padStart(2, '0')}`;
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// Break a chat message into what the sidebar's createChatMessageElement() draws: badges, then text,
+// emote and cheer parts. Image parts list the upstream paths to try in order, mirroring its onerror fallbacks.
+function getChatMessageParts(message) {
+  const body = message.message || {};
+  const cheers = global.cheersData || {};
+  
+  const badges = (body.user_badges || []).map(badge => ({
+    title: badge._id,
+    paths: [`emotes/twitchBadges/${badge._id}/${badge.version}`]
+  }));
+  
+  const parts = [];
+  if (!body.fragments) {
+    parts.push({ type: 'text', text: body.body || message.body || '' });
+  }
+  
+  (body.fragments || []).forEach(fragment => {
+    if (fragment.emoticon) {
+      const emoteId = fragment.emoticon.emoticon_id;
+      parts.push({ type: 'emote', text: fragment.text, paths: [`emotes/firstParty/${emoteId}`, `emotes/thirdParty/${emoteId}`] });
+      return;
     }
     
-    const m3u8Content = await m3u8Response.text();
-    
-    let totalDuration = 0;
-    const lines = m3u8Content.split('\n');
-    
-    for (const line of lines) {
-      if (line.startsWith('#EXTINF:')) {
-        const match = line.match(/#EXTINF:([0-9.]+),/);
-        if (match) {
-          const duration = parseFloat(match[1]);
-          totalDuration += duration;
+    const words = fragment.text.split(/\s+/);
+    words.forEach((word, index) => {
+      // Cheers like "cheer100" use the highest tier image the amount reaches
+      const cheerMatch = word.match(/^([a-zA-Z]+)(\d+)$/);
+      if (cheerMatch && hasOwn(cheers, cheerMatch[1])) {
+        const provider = cheerMatch[1];
+        const bits = parseInt(cheerMatch[2]);
+        let cheerAmount = 1;
+        for (const value of cheers[provider]) {
+          if (bits >= value) cheerAmount = value;
         }
+        parts.push({ type: 'cheer', text: word, bits, paths: [`emotes/twitchBits/${provider}/${cheerAmount}`] });
+      } else if (hasOwn(thirdPartyEmotes, word)) {
+        parts.push({ type: 'emote', text: word, paths: [`emotes/thirdParty/${thirdPartyEmotes[word]}`] });
+      } else if (hasOwn(firstPartyEmotes, word)) {
+        parts.push({ type: 'emote', text: word, paths: [`emotes/firstParty/${firstPartyEmotes[word]}`] });
+      } else {
+        parts.push({ type: 'text', text: word });
+      }
+      
+      if (index < words.length - 1) {
+        parts.push({ type: 'text', text: ' ' });
       }
+    });
+  });
+  
+  return {
+    username: body.display_name || (message.commenter && message.commenter.display_name) || 'Anonymous',
+    color: body.user_color || null,
+    badges,
+    parts
+  };
+}
+
+// Emote files upstream have no extension, so fall back to sniffing the image format
+function getImageContentType(data, contentType) {
+  if (contentType && contentType.startsWith('image/')) return contentType;
+  if (data.slice(0, 8).toString('hex') === '89504e470d0a1a0a') return 'image/png';
+  if (data.slice(0, 3).toString('ascii') === 'GIF') return 'image/gif';
+  if (data.slice(0, 4).toString('ascii') === 'RIFF' && data.slice(8, 12).toString('ascii') === 'WEBP') return 'image/webp';
+  if (data[0] === 0xff && data[1] === 0xd8) return 'image/jpeg';
+  if (data.slice(0, 12).toString('ascii').includes('ftypavif')) return 'image/avif';
+  return null;
+}
+
+// An upstream image as a data: URI, or null if it's missing or isn't an image
+async function fetchImageDataUri(upstreamPath) {
+  try {
+    let data;
+    let contentType;
+    
+    const entry = CACHE_ENABLED ? getCacheEntry(upstreamPath) : null;
+    // An evicted entry just means going back upstream
+    const cached = entry && await fs.readFile(entry.file).catch(() => null);
+    if (cached) {
+      data = cached;
+      contentType = entry.contentType;
+    } else {
+      const response = await fetchUpstream(upstreamPath);
+      if (!response.ok) return null;
+      data = await response.buffer();
+      contentType = response.headers.get('content-type');
     }
     
-    const roundedDuration = Math.round(totalDuration);
-    console.log(`Duration for ${videoId}: ${roundedDuration}s (${Math.floor(roundedDuration/3600)}:${Math.floor((roundedDuration%3600)/60).toString().padStart(2,'0')}:${(roundedDuration%60).toString().padStart(2,'0')})`);
-    return roundedDuration;
+    const imageType = getImageContentType(data, contentType);
+    return imageType ? `data:${imageType};base64,${data.toString('base64')}` : null;
   } catch (error) {
-    console.error(`Failed to get duration for ${videoId}:`, error);
+    logger.debug('Failed to inline transcript image', { path: upstreamPath, error: error.message });
     return null;
   }
 }
 
-async function syncMetadata() {
-  try {
-    console.log('Syncing video metadata...');
-    const localMetadata = await loadMetadata();
-    
-    const response = await fetch('https://barbarian.men/macaw45/videos.json');
-    const remoteVideos = await response.json();
-    
-    console.log(`Remote videos structure:`, Object.keys(remoteVideos).slice(0, 3));
-    console.log(`Sample remote video:`, Object.entries(remoteVideos)[0]);
-    
-    let updated = false;
-    let newVideoCount = 0;
-    
-    for (const [indexKey, videoData] of Object.entries(remoteVideos)) {
-      const actualVodId = videoData.vodid || indexKey;
-      
-      if (!localMetadata[indexKey]) {
-        console.log(`New video found: Index ${indexKey}, VOD ID ${actualVodId} - ${videoData.title}`);
-        
-        const duration = await getVideoDuration(actualVodId);
-        
-        localMetadata[indexKey] = {
-          vodid: actualVodId,
-          title: videoData.title,
-          description: videoData.description,
-          date: videoData.date,
-          duration,
-          lastUpdated: new Date().toISOString()
-        };
-        
-        updated = true;
-        newVideoCount++;
-      }
+// Resolve every distinct image in the rendered messages to a data: URI (or null), keyed by its path list
+async function loadTranscriptImages(renderedMessages) {
+  const candidates = new Map();
+  renderedMessages.forEach(({ badges, parts }) => {
+    badges.concat(parts).forEach(part => {
+      if (part.paths) candidates.set(part.paths.join('|'), part.paths);
+    });
+  });
+  
+  const keys = Array.from(candidates.keys());
+  const images = await mapWithConcurrency(keys, TRANSCRIPT_IMAGE_CONCURRENCY, async key => {
+    for (const upstreamPath of candidates.get(key)) {
+      const dataUri = await fetchImageDataUri(upstreamPath);
+      if (dataUri) return dataUri;
     }
-    
-    if (updated) {
-      await saveMetadata(localMetadata);
-      console.log(`Metadata updated: ${newVideoCount} new videos added`);
-    } else {
-      console.log('No new videos found');
+    return null;
+  });
+  
+  return new Map(keys.map((key, i) => [key, images[i]]));
+}
+
+// Chat for an export range; the video doesn't have to be in the metadata store if its chat exists upstream
+// The chat index can serve transcripts of any length without going upstream, but only from
+// entries that are complete and keep the badges, colors and emotes transcripts render
+async function getTranscriptChatIndex(videoId) {
+  const indexed = chatIndex[videoId];
+  if (!indexed || indexed.version !== CHAT_INDEX_VERSION) {
+    return null;
+  }
+  return isChatIndexComplete(indexed, await getChatTimecodes(videoId)) ? indexed : null;
+}
+
+// An index entry shaped like the upstream message it came from, with the fields chat rendering reads
+function presentIndexedChatMessage(msg) {
+  return {
+    video_timestamp: msg.t,
+    commenter: { display_name: msg.user },
+    message: {
+      display_name: msg.user,
+      body: msg.text,
+      user_color: msg.color || null,
+      user_badges: msg.badges || [],
+      fragments: msg.fragments || [{ text: msg.text, emoticon: null }]
     }
-    
-    console.log(`Local metadata now has ${Object.keys(localMetadata).length} videos`);
-    return localMetadata;
-  } catch (error) {
-    console.error('Error syncing metadata:', error);
-    return await loadMetadata();
+  };
+}
+
+async function loadChatTranscript(videoId, range) {
+  const timecodes = await getChatTimecodes(videoId);
+  const video = getVideoByVodId(videoId);
+  if (!video && timecodes.length === 0) {
+    return null;
+  }
+  
+  // Chat is stored per whole second, so take every second the range touches
+  const first = Math.floor(range.start);
+  const last = Math.ceil(range.end) - 1;
+  let messages;
+  const indexed = await getTranscriptChatIndex(videoId);
+  if (indexed) {
+    messages = indexed.messages
+      .filter(msg => msg.t >= first && msg.t <= last)
+      .map(presentIndexedChatMessage);
+  } else {
+    const chatRange = await getChatRange(videoId, first, last);
+    if (!chatRange.complete) {
+      throw new Error(`Some chat for ${videoId} couldn't be fetched`);
+    }
+    messages = chatRange.messages;
   }
+  
+  const presented = video ? presentVideo(video) : null;
+  return {
+    videoId,
+    title: presented ? presented.title : null,
+    date: presented ? presented.date : null,
+    start: range.start,
+    end: range.end,
+    exportedAt: new Date().toISOString(),
+    messages
+  };
+}
+
+const TRANSCRIPT_STYLES = `
+body { margin: 0; background: #0e0e10; color: #fff; font-family: "Roboto", "Helvetica", "Arial", sans-serif; }
+header { padding: 16px 12px; border-bottom: 1px solid #333; }
+h1 { margin: 0 0 4px; font-size: 18px; }
+.transcript-meta { color: #888; font-size: 13px; }
+.chat-messages { padding: 8px 0; }
+.chat-message { padding: 2px 12px; line-height: 1.3; font-size: 14px; word-wrap: break-word; }
+.chat-message:hover { background: rgba(255, 255, 255, 0.05); }
+.chat-timestamp { color: #888; font-size: 11px; font-family: "JetBrains Mono", monospace; margin-right: 8px; }
+.chat-badge { height: 16px; margin-right: 4px; vertical-align: middle; border-radius: 2px; }
+.chat-username { color: #69f; font-weight: 600; }
+.colon { color: #888; }
+.chat-text { font-family: "Segoe UI Emoji", "Apple Color Emoji", "Noto Color Emoji", "Roboto", "Helvetica", "Arial", sans-serif; word-break: break-word; }
+.chat-emote { height: 20px; vertical-align: middle; margin: 0 2px; }
+.chat-bits { color: #ff6347; font-weight: bold; }
+.chat-no-messages { text-align: center; padding: 40px 20px; color: #666; font-style: italic; }
+`;
+
+function renderTranscriptMessage(message, rendered, images) {
+  const badges = rendered.badges.map(badge => {
+    const src = images.get(badge.paths.join('|'));
+    return src ? `<img class="chat-badge" src="${src}" alt="" title="${escapeHtml(badge.title)}">` : '';
+  }).join('');
+  
+  const text = rendered.parts.map(part => {
+    if (part.type === 'text') {
+      return escapeHtml(part.text);
+    }
+    
+    const src = images.get(part.paths.join('|'));
+    const image = src ? `<img class="chat-emote" src="${src}" alt="${escapeHtml(part.text)}" title="${escapeHtml(part.text)}">` : null;
+    if (part.type === 'cheer') {
+      return image ? `${image}<span class="chat-bits">${part.bits}</span>` : escapeHtml(part.text);
+    }
+    return image || escapeHtml(part.text);
+  }).join('');
+  
+  const color = rendered.color ? ` style="color: ${escapeHtml(rendered.color)}"` : '';
+  return `<div class="chat-message"><span class="chat-timestamp">${formatTimestamp(message.video_timestamp)}</span>` +
+    `${badges}<span class="chat-username"${color}>${escapeHtml(rendered.username)}</span><span class="colon">: </span>` +
+    `<span class="chat-text">${text}</span></div>`;
+}
+
+// A standalone page with every badge, emote and cheer inlined, so it still renders once saved
+async function renderChatTranscript(transcript) {
+  const renderedMessages = transcript.messages.map(getChatMessageParts);
+  const images = await loadTranscriptImages(renderedMessages);
+  
+  const title = transcript.title || `Video ${transcript.videoId}`;
+  const range = `${formatTimestamp(transcript.start)} – ${formatTimestamp(transcript.end)}`;
+  const meta = [transcript.date ? new Date(transcript.date).toISOString().slice(0, 10) : null, range, `${transcript.messages.length} messages`]
+    .filter(Boolean).join(' • ');
+  const body = transcript.messages.length > 0
+    ? transcript.messages.map((message, i) => renderTranscriptMessage(message, renderedMessages[i], images)).join('\n')
+    : '<div class="chat-no-messages">No chat messages in this range</div>';
+  
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(`Chat: ${title} (${range})`)}</title>
+<style>${TRANSCRIPT_STYLES}</style>
+</head>
+<body>
+<header><h1>${escapeHtml(title)}</h1><div class="transcript-meta">${escapeHtml(meta)}</div></header>
+<div class="chat-messages">
+${body}
+</div>
+</body>
+</html>
+`;
 }
 
+// Query parameters: title, q (title + description), from, to, includeRemoved, sort (date, duration, title),
+// order (asc, desc), page and pageSize. Paged requests get { videos, total, page, pageSize, totalPages };
+// otherwise the whole (filtered, sorted) list is returned as an array.
 app.get('/api/videos', async (req, res) => {
   try {
-    const metadata = await loadMetadata();
-    const videosArray = Object.values(metadata);
+    // Repeated parameters (?title=a&title=b) arrive as arrays or objects
+    const repeated = VIDEO_QUERY_PARAMS.filter(param => req.query[param] !== undefined && typeof req.query[param] !== 'string');
+    if (repeated.length > 0) {
+      return res.status(400).json({ error: `${repeated.join(', ')} must be given once` });
+    }
+    
+    const { title, q, from, to } = req.query;
+    const includeRemoved = req.query.includeRemoved === '1' || req.query.includeRemoved === 'true';
+    
+    const sort = req.query.sort || 'date';
+    if (!hasOwn(VIDEO_SORT_FIELDS, sort)) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(VIDEO_SORT_FIELDS).join(', ')}` });
+    }
+    const order = req.query.order || VIDEO_SORT_DEFAULT_ORDER[sort];
+    if (order !== 'asc' && order !== 'desc') {
+      return res.status(400).json({ error: 'order must be asc or desc' });
+    }
+    if ([from, to].some(date => date && isNaN(new Date(date).getTime()))) {
+      return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
     
-    console.log(`Serving ${videosArray.length} videos from local metadata`);
+    const videosArray = sortVideos(queryVideos({ title, q, from, to, includeRemoved }), sort, order);
     res.set('Cache-Control', 'public, max-age=3600');
-    res.json(videosArray);
+    res.set('X-Total-Count', String(videosArray.length));
+    res.set('Access-Control-Expose-Headers', 'X-Total-Count');
+    
+    if (req.query.page === undefined && req.query.pageSize === undefined) {
+      logger.debug('Serving videos from local metadata', { videos: videosArray.length });
+      return res.json(videosArray);
+    }
+    
+    const pageSize = Math.max(1, Math.min(VIDEO_PAGE_SIZE_MAX, parseInt(req.query.pageSize) || VIDEO_PAGE_SIZE_DEFAULT));
+    const totalPages = Math.max(1, Math.ceil(videosArray.length / pageSize));
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const start = (page - 1) * pageSize;
+    
+    logger.debug('Serving video page from local metadata', { page, pageSize, total: videosArray.length });
+    res.json({
+      videos: videosArray.slice(start, start + pageSize),
+      total: videosArray.length,
+      page,
+      pageSize,
+      totalPages,
+      sort,
+      order
+    });
   } catch (error) {
-    console.error('Error serving videos:', error);
+    logger.error('Error serving videos', { error });
     res.status(500).json({ error: 'Failed to load videos' });
   }
 });
 
+app.get('/api/videos/:videoId', (req, res) => {
+  const video = getVideoByVodId(req.params.videoId);
+  if (!video) {
+    return res.status(404).json({ error: 'Video not found' });
+  }
+  
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json(presentVideo(video));
+});
+
 app.get('/api/thumbnail/:size/:videoId', async (req, res) => {
   try {
     const { size, videoId } = req.params;
-    const url = `https://barbarian.men/macaw45/tn/${size}/${videoId}.webp`;
-    
-    const response = await fetch(url);
-    if (!response.ok) {
+    const served = await serveCached(req, res, `tn/${size}/${videoId}.webp`, {
+      contentType: 'image/webp',
+      cacheControl: 'public, max-age=86400'
+    });
+    if (!served) {
       return res.status(404).send('Thumbnail not found');
     }
-    
-    res.set('Content-Type', 'image/webp');
-    res.set('Cache-Control', 'public, max-age=86400');
-    
-    response.body.pipe(res);
   } catch (error) {
-    console.error('Error fetching thumbnail:', error);
+    logger.error('Error fetching thumbnail', { error });
     res.status(500).send('Error fetching thumbnail');
   }
 });
 
 app.get('/api/video/:videoId', async (req, res) => {
   try {
-    const { videoId } = req.params;
+    const cleanVideoId = normalizeVideoId(req.params.videoId);
+    const playlistPath = `videos/v${cleanVideoId}.m3u8`;
     
-    let cleanVideoId = videoId;
-    if (cleanVideoId.startsWith('v')) {
-      cleanVideoId = cleanVideoId.substring(1);
+    logger.debug('Loading video playlist', { videoId: cleanVideoId });
+    const response = await fetchCachedText(playlistPath, PLAYLIST_CACHE_TTL);
+    
+    if (!response.ok) {
+      logger.warn('Video playlist fetch failed', { path: playlistPath, status: response.status });
+      return res.status(404).send('Video not found');
     }
-    if (cleanVideoId.endsWith('.mp4')) {
-      cleanVideoId = cleanVideoId.replace('.mp4', '');
+    
+    // A multi-variant upstream needs the master endpoint to pick a rendition
+    if (parseMasterPlaylist(response.text)) {
+      return res.redirect(`/api/master/${cleanVideoId}`);
     }
     
-    const url = `https://barbarian.men/macaw45/videos/v${cleanVideoId}.m3u8`;
+    const modifiedContent = rewritePlaylistSegments(response.text);
     
-    console.log(`Loading video playlist: ${cleanVideoId}`);
-    const response = await fetch(url);
+    res.set('Content-Type', 'application/x-mpegURL');
+    res.set('Cache-Control', 'public, max-age=300');
+    res.set('Access-Control-Allow-Origin', '*');
     
-    if (!response.ok) {
-      console.error(`Video fetch failed: HTTP ${response.status} for ${url}`);
+    res.send(modifiedContent);
+  } catch (error) {
+    logger.error('Error fetching video', { error });
+    res.status(500).send('Error fetching video');
+  }
+});
+
+app.get('/api/master/:videoId', async (req, res) => {
+  try {
+    const videoId = normalizeVideoId(req.params.videoId);
+    const renditions = await getVideoRenditions(videoId);
+    
+    if (!renditions) {
       return res.status(404).send('Video not found');
     }
     
-    const m3u8Content = await response.text();
+    const lines = ['#EXTM3U'];
+    renditions.forEach(rendition => {
+      const attributes = [`BANDWIDTH=${rendition.bandwidth}`];
+      if (rendition.resolution) {
+        attributes.push(`RESOLUTION=${rendition.resolution}`);
+      }
+      if (rendition.codecs) {
+        attributes.push(`CODECS="${rendition.codecs}"`);
+      }
+      lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`);
+      lines.push(`/api/video/${videoId}/${encodeURIComponent(rendition.id)}`);
+    });
+    
+    logger.debug('Serving master playlist', { videoId, renditions: renditions.length });
+    res.set('Content-Type', 'application/x-mpegURL');
+    res.set('Cache-Control', 'public, max-age=300');
+    res.send(lines.join('\n') + '\n');
+  } catch (error) {
+    logger.error('Error building master playlist', { error });
+    res.status(500).send('Error building master playlist');
+  }
+});
+
+app.get('/api/video/:videoId/:rendition', async (req, res) => {
+  try {
+    const videoId = normalizeVideoId(req.params.videoId);
+    const renditions = await getVideoRenditions(videoId);
+    const rendition = renditions && renditions.find(r => r.id === req.params.rendition);
+    
+    if (!rendition) {
+      return res.status(404).send('Rendition not found');
+    }
     
-    const modifiedContent = m3u8Content.replace(
-      /^(?!https?:\/\/|#)(.+\.ts)$/gm,
-      `https://barbarian.men/macaw45/videos/$1`
-    ).replace(
-      /URI="([^"]+\.mp4)"/g,
-      `URI="/api/mp4/$1"`
-    ).replace(
-      /^(?!https?:\/\/|#)(.+\.mp4)$/gm,
-      `/api/mp4/$1`
-    );
+    let modifiedContent;
+    if (rendition.type === 'local') {
+      const content = await fs.readFile(path.join(getRenditionDir(videoId), rendition.playlist), 'utf8');
+      const playlistDir = path.posix.dirname(rendition.playlist);
+      const prefix = `/api/rendition/${videoId}/${playlistDir === '.' ? '' : `${playlistDir}/`}`;
+      modifiedContent = rewritePlaylistSegments(content, prefix);
+    } else {
+      const response = await fetchCachedText(rendition.playlist, PLAYLIST_CACHE_TTL);
+      if (!response.ok) {
+        logger.warn('Rendition playlist fetch failed', { path: rendition.playlist, status: response.status });
+        return res.status(404).send('Rendition not found');
+      }
+      
+      // Segment paths are relative to the variant playlist, which may sit below videos/
+      const playlistDir = path.posix.dirname(rendition.playlist.replace(/^videos\//, ''));
+      modifiedContent = rewritePlaylistSegments(response.text, `/api/segment/${playlistDir === '.' ? '' : `${playlistDir}/`}`);
+    }
     
     res.set('Content-Type', 'application/x-mpegURL');
     res.set('Cache-Control', 'public, max-age=300');
+    res.send(modifiedContent);
+  } catch (error) {
+    logger.error('Error fetching rendition', { error });
+    res.status(500).send('Error fetching rendition');
+  }
+});
+
+app.get('/api/rendition/:videoId/:filename(*)', (req, res) => {
+  const dir = getRenditionDir(normalizeVideoId(req.params.videoId));
+  if (!dir) {
+    return res.status(404).send('Rendition segment not found');
+  }
+  
+  const contentType = UPSTREAM_CONTENT_TYPES[path.extname(req.params.filename)];
+  if (contentType) {
+    res.type(contentType);
+  }
+  
+  res.sendFile(req.params.filename, {
+    root: dir,
+    maxAge: 86400 * 1000
+  }, error => {
+    if (error && !res.headersSent) {
+      res.status(404).send('Rendition segment not found');
+    }
+  });
+});
+
+async function proxySegment(req, res) {
+  try {
+    const filename = req.params.filename;
+    // The filename arrives URL-decoded, and an HTTP upstream would resolve ".." segments out of videos/
+    if (filename.split(/[\\/]/).includes('..')) {
+      return res.status(400).send('Invalid segment path');
+    }
+    
+    const isFirstRequest = !req.headers.range || req.headers.range === 'bytes=0-';
+    if (isFirstRequest) {
+      logger.debug('Starting segment stream', { filename });
+    }
+    
     res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Expose-Headers', 'Content-Length, Content-Range, Accept-Ranges');
     
-    res.send(modifiedContent);
+    const served = await serveCached(req, res, `videos/${filename}`, {
+      contentType: UPSTREAM_CONTENT_TYPES[path.extname(filename)],
+      cacheControl: 'public, max-age=86400'
+    });
+    if (!served) {
+      logger.warn('Segment fetch failed', { filename });
+      return res.status(404).send('Segment not found');
+    }
   } catch (error) {
-    console.error('Error fetching video:', error);
-    res.status(500).send('Error fetching video');
+    logger.error('Error fetching segment', { error });
+    res.status(500).send('Error fetching segment');
+  }
+}
+
+app.get('/api/segment/:filename(*)', proxySegment);
+
+// Kept for playlists that browsers cached before every segment went through /api/segment
+app.get('/api/mp4/:filename', proxySegment);
+
+// Trimmed HLS playlist of just the segments covering ?start=&end= (seconds); ?rendition= picks an upstream rendition
+app.get('/api/export/:videoId/playlist.m3u8', async (req, res) => {
+  try {
+    const range = parseExportRange(req, res);
+    if (!range) return;
+    
+    const videoId = normalizeVideoId(req.params.videoId);
+    const source = await loadExportPlaylist(videoId, req.query.rendition);
+    if (!source) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    const trimmed = trimMediaPlaylist(source.playlist, range.start, range.end);
+    if (!trimmed) {
+      return res.status(416).json({ error: 'Range starts after the end of the video' });
+    }
+    
+    res.set('Content-Type', 'application/x-mpegURL');
+    res.set('Cache-Control', 'public, max-age=300');
+    res.send(rewritePlaylistSegments(buildTrimmedPlaylist(source.playlist, trimmed), `/api/segment/${source.segmentDir}`));
+  } catch (error) {
+    logger.error('Error exporting playlist', { error });
+    res.status(500).json({ error: 'Failed to export playlist' });
   }
 });
 
-app.get('/api/mp4/:filename', async (req, res) => {
+// The covering segments concatenated into one file: MPEG-TS, or fragmented MP4 when the playlist has an init segment.
+// The file starts at the first segment boundary, so it may begin a few seconds before ?start=.
+app.get('/api/export/:videoId/download', async (req, res) => {
   try {
-    const { filename } = req.params;
-    const url = `https://barbarian.men/macaw45/videos/${filename}`;
+    const range = parseExportRange(req, res);
+    if (!range) return;
+    
+    const videoId = normalizeVideoId(req.params.videoId);
+    const source = await loadExportPlaylist(videoId, req.query.rendition);
+    if (!source) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (source.playlist.hasByteRanges) {
+      return res.status(501).json({ error: 'Downloads are not supported for byte-range playlists' });
+    }
+    // Concatenated encrypted segments would be unplayable, and we don't decrypt
+    if (source.playlist.encrypted) {
+      return res.status(501).json({ error: 'Downloads are not supported for encrypted renditions' });
+    }
     
-    const isFirstRequest = !req.headers.range || req.headers.range === 'bytes=0-';
-    if (isFirstRequest) {
-      console.log(`Starting MP4 stream: ${filename}`);
+    const trimmed = trimMediaPlaylist(source.playlist, range.start, range.end);
+    if (!trimmed) {
+      return res.status(416).json({ error: 'Range starts after the end of the video' });
     }
     
-    const headers = {};
-    if (req.headers.range) {
-      headers['Range'] = req.headers.range;
+    const maps = new Set(trimmed.segments.map(segment => segment.map && segment.map.uri));
+    if (maps.size > 1) {
+      return res.status(501).json({ error: 'Downloads are not supported across init segment changes' });
     }
+    const [map] = maps;
+    const isMp4 = Boolean(map);
+    const paths = (isMp4 ? [map] : []).concat(trimmed.segments.map(segment => segment.uri))
+      .map(uri => `videos/${source.segmentDir}${uri}`);
     
-    const response = await fetch(url, { headers });
+    // Open the first file before committing to a 200 so a missing VOD still gets a clean error
+    let stream = await openUpstreamStream(paths[0]);
     
-    if (!response.ok) {
-      console.error(`MP4 fetch failed: HTTP ${response.status} for ${filename}`);
-      return res.status(404).send('MP4 not found');
-    }
+    const filename = `${videoId}_${Math.floor(range.start)}-${Math.ceil(range.end)}.${isMp4 ? 'mp4' : 'ts'}`;
+    res.set('Content-Type', isMp4 ? 'video/mp4' : 'video/mp2t');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    logger.info('Exporting video range', { videoId, start: range.start, end: range.end, files: paths.length });
     
-    if (response.headers.get('content-range')) {
-      res.set('Content-Range', response.headers.get('content-range'));
+    for (let i = 0; i < paths.length && !res.destroyed; i++) {
+      if (i > 0) {
+        stream = await openUpstreamStream(paths[i]);
+      }
+      await pipeWithoutEnding(stream, res);
+    }
+    res.end();
+  } catch (error) {
+    logger.error('Error exporting video range', { error });
+    if (res.headersSent) {
+      // Part of the file is already out; cut it off so the client sees an incomplete download
+      res.destroy(error);
+    } else {
+      res.status(502).json({ error: 'Failed to export video range' });
     }
-    if (response.headers.get('accept-ranges')) {
-      res.set('Accept-Ranges', response.headers.get('accept-ranges'));
+  }
+});
+
+// Export ranges are long, so unless the video's chat is fully indexed they're held to what /api/chat
+// fetches from upstream at once
+async function parseChatExportRange(req, res, videoId) {
+  const range = parseExportRange(req, res);
+  if (!range) return null;
+  
+  if (!await getTranscriptChatIndex(videoId) && Math.ceil(range.end) - Math.floor(range.start) > CHAT_MAX_RANGE) {
+    res.status(400).json({ error: `Chat for videos that aren't indexed can be exported at most ${CHAT_MAX_RANGE} seconds at a time` });
+    return null;
+  }
+  return range;
+}
+
+// Chat for ?start=&end= (seconds): the same messages /api/chat/:videoId/:startTime/:endTime returns
+// (rebuilt from the chat index when it has them), plus the video's title and date, as a downloadable JSON transcript
+app.get('/api/export/:videoId/chat.json', async (req, res) => {
+  try {
+    const videoId = normalizeVideoId(req.params.videoId);
+    const range = await parseChatExportRange(req, res, videoId);
+    if (!range) return;
+    
+    const transcript = await loadChatTranscript(videoId, range);
+    if (!transcript) {
+      return res.status(404).json({ error: 'Video not found' });
     }
     
-    res.set('Content-Type', 'video/mp4');
-    res.set('Access-Control-Allow-Origin', '*');
-    res.set('Cache-Control', 'public, max-age=3600');
+    const filename = `${videoId}_${Math.floor(range.start)}-${Math.ceil(range.end)}_chat.json`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(transcript);
+  } catch (error) {
+    logger.error('Error exporting chat transcript', { error });
+    res.status(502).json({ error: 'Failed to export chat transcript' });
+  }
+});
+
+// The same transcript as a self-contained HTML page, rendered like the chat sidebar
+app.get('/api/export/:videoId/chat.html', async (req, res) => {
+  try {
+    const videoId = normalizeVideoId(req.params.videoId);
+    const range = await parseChatExportRange(req, res, videoId);
+    if (!range) return;
     
-    res.status(response.status);
+    const transcript = await loadChatTranscript(videoId, range);
+    if (!transcript) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
     
-    response.body.pipe(res);
+    const html = await renderChatTranscript(transcript);
+    const filename = `${videoId}_${Math.floor(range.start)}-${Math.ceil(range.end)}_chat.html`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'public, max-age=300');
+    res.type('html').send(html);
   } catch (error) {
-    console.error('Error fetching MP4:', error);
-    res.status(500).send('Error fetching MP4');
+    logger.error('Error exporting chat transcript', { error });
+    res.status(502).json({ error: 'Failed to export chat transcript' });
   }
 });
 
 // Emote mapping endpoints
 app.get('/api/emotes/first-party', async (req, res) => {
   try {
-    const response = await fetch('https://barbarian.men/macaw45/first_party_emotes.json');
+    const response = await fetchCachedText('first_party_emotes.json', EMOTE_MAP_CACHE_TTL);
     if (!response.ok) {
       return res.status(404).json({ error: 'First-party emotes not found' });
     }
     
-    const emotes = await response.json();
+    const emotes = JSON.parse(response.text);
     res.set('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
     res.json(emotes);
   } catch (error) {
-    console.error('Error fetching first-party emotes:', error);
+    logger.error('Error fetching first-party emotes', { error });
     res.status(500).json({ error: 'Failed to fetch first-party emotes' });
   }
 });
 
 app.get('/api/emotes/third-party', async (req, res) => {
   try {
-    const response = await fetch('https://barbarian.men/macaw45/third_party_emotes.json');
+    const response = await fetchCachedText('third_party_emotes.json', EMOTE_MAP_CACHE_TTL);
     if (!response.ok) {
       return res.status(404).json({ error: 'Third-party emotes not found' });
     }
     
-    const emotes = await response.json();
+    const emotes = JSON.parse(response.text);
     res.set('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
     res.json(emotes);
   } catch (error) {
-    console.error('Error fetching third-party emotes:', error);
+    logger.error('Error fetching third-party emotes', { error });
     res.status(500).json({ error: 'Failed to fetch third-party emotes' });
   }
 });
@@ -312,7 +2825,7 @@ app.get('/api/emotes/cheers', async (req, res) => {
     res.set('Cache-Control', 'public, max-age=3600'); // Cache for 1 hour
     res.json(cheers);
   } catch (error) {
-    console.error('Error serving cheers:', error);
+    logger.error('Error serving cheers', { error });
     res.status(500).json({ error: 'Failed to serve cheers' });
   }
 });
@@ -321,90 +2834,110 @@ app.get('/api/emotes/cheers', async (req, res) => {
 app.get('/api/chat/:videoId', async (req, res) => {
   try {
     const { videoId } = req.params;
-    
-    // First check if chat timecodes exist for this video
-    const timecodesUrl = `https://barbarian.men/macaw45/comments/${videoId}/timecodes.json`;
-    const timecodesResponse = await fetch(timecodesUrl);
-    
-    if (!timecodesResponse.ok) {
-      // Return empty array instead of 404 to prevent console spam
-      return res.json([]);
-    }
-    
-    const timecodes = await timecodesResponse.json();
+    const timecodes = await getChatTimecodes(videoId);
     res.json(timecodes);
   } catch (error) {
-    console.error('Error fetching chat timecodes:', error);
+    logger.error('Error fetching chat timecodes', { error });
     // Return empty array instead of 500 error
     res.json([]);
   }
 });
 
+// { bucketSize, counts, peak, total, indexed, source }: counts[i] is the number of messages in bucket i
+app.get('/api/chat/:videoId/density', async (req, res) => {
+  try {
+    const density = await getChatDensity(req.params.videoId);
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(density);
+  } catch (error) {
+    logger.error('Error computing chat density', { error });
+    res.status(502).json({ error: 'Failed to compute chat density' });
+  }
+});
+
+// Ranked highlight candidates from chat bursts, emote spam and big cheers; ?limit= caps the list.
+// Works from the chat index, so videos that haven't been indexed yet, or whose index is incomplete,
+// report indexed: false.
+app.get('/api/chat/:videoId/highlights', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const limit = Math.max(1, Math.min(HIGHLIGHT_LIMIT_MAX, parseInt(req.query.limit) || HIGHLIGHT_LIMIT_DEFAULT));
+    const indexed = chatIndex[videoId];
+    const complete = indexed && isChatIndexComplete(indexed, await getChatTimecodes(videoId));
+    const highlights = complete ? getChatHighlights(videoId) : null;
+    
+    if (!highlights) {
+      return res.json({ videoId, indexed: false, indexing: chatIndexBuilding, total: 0, highlights: [] });
+    }
+    
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({ videoId, indexed: true, total: highlights.length, highlights: highlights.slice(0, limit) });
+  } catch (error) {
+    logger.error('Error detecting chat highlights', { error });
+    res.status(500).json({ error: 'Failed to detect chat highlights' });
+  }
+});
+
 app.get('/api/chat/:videoId/:startTime/:endTime', async (req, res) => {
   try {
     const { videoId, startTime, endTime } = req.params;
     const start = parseInt(startTime);
     const end = parseInt(endTime);
     
-    const allMessages = [];
-    
-    // Fetch chat messages for each second in the range
-    for (let t = start; t <= end; t++) {
-      try {
-        const chatUrl = `https://barbarian.men/macaw45/comments/${videoId}/${t}.json`;
-        const response = await fetch(chatUrl);
-        
-        if (response.ok) {
-          const messages = await response.json();
-          // Add timestamp to each message for sorting
-          messages.forEach(msg => {
-            msg.video_timestamp = t;
-          });
-          allMessages.push(...messages);
-        }
-      } catch (err) {
-        // Skip failed requests for individual seconds
-        continue;
-      }
+    if (isNaN(start) || isNaN(end) || start < 0 || end < start) {
+      return res.status(400).json({ error: 'Invalid chat time range' });
+    }
+    if (end - start + 1 > CHAT_MAX_RANGE) {
+      return res.status(400).json({ error: `Chat time range cannot exceed ${CHAT_MAX_RANGE} seconds` });
     }
     
-    // Sort messages by timestamp
-    allMessages.sort((a, b) => {
-      if (a.video_timestamp !== b.video_timestamp) {
-        return a.video_timestamp - b.video_timestamp;
-      }
-      // If same video timestamp, sort by message timestamp
-      return (a.timestamp || 0) - (b.timestamp || 0);
-    });
+    const { messages, complete } = await getChatRange(videoId, start, end);
     
-    res.json(allMessages);
+    // Partial results must not outlive the upstream hiccup that caused them
+    res.set('Cache-Control', complete ? 'public, max-age=3600' : 'no-store');
+    res.json(messages);
   } catch (error) {
-    console.error('Error fetching chat messages:', error);
+    logger.error('Error fetching chat messages', { error });
     // Return empty array instead of error
+    res.set('Cache-Control', 'no-store');
     res.json([]);
   }
 });
 
+app.get('/api/search/chat', async (req, res) => {
+  try {
+    // Repeated parameters (?q=a&q=b) arrive as arrays or objects
+    const repeated = ['q', 'limit'].filter(param => req.query[param] !== undefined && typeof req.query[param] !== 'string');
+    if (repeated.length > 0) {
+      return res.status(400).json({ error: `${repeated.join(', ')} must be given once` });
+    }
+    
+    const query = (req.query.q || '').trim();
+    if (query.length < 2) {
+      return res.status(400).json({ error: 'Search query must be at least 2 characters' });
+    }
+    
+    const limit = Math.max(1, Math.min(500, parseInt(req.query.limit) || 100));
+    const { total, results, indexedVideos, totalVideos } = await searchChatIndex(query, limit);
+    
+    logger.debug('Chat search', { query, total, indexedVideos });
+    res.json({ query, total, results, indexedVideos, totalVideos, indexing: chatIndexBuilding });
+  } catch (error) {
+    logger.error('Error searching chat', { error });
+    res.status(500).json({ error: 'Failed to search chat' });
+  }
+});
+
 // Proxy endpoint for emotes and badges
 app.get('/api/emote/:path(*)', async (req, res) => {
   try {
     const emotePath = req.params.path;
-    const emoteUrl = `https://barbarian.men/macaw45/emotes/${emotePath}`;
-    
-    const response = await fetch(emoteUrl);
-    if (!response.ok) {
+    const served = await serveCached(req, res, `emotes/${emotePath}`, { cacheControl: 'public, max-age=86400' });
+    if (!served) {
       return res.status(404).send('Emote not found');
     }
-    
-    const contentType = response.headers.get('content-type');
-    if (contentType) {
-      res.set('Content-Type', contentType);
-    }
-    
-    res.set('Cache-Control', 'public, max-age=86400');
-    response.body.pipe(res);
   } catch (error) {
-    console.error('Error proxying emote:', error);
+    logger.error('Error proxying emote', { error });
     res.status(500).send('Error fetching emote');
   }
 });
@@ -417,54 +2950,466 @@ app.get('/api/emote/lookup/:emoteName', async (req, res) => {
     // Check if it's a third-party emote first (most custom emotes)
     if (thirdPartyEmotes[emoteName]) {
       const emoteId = thirdPartyEmotes[emoteName];
-      const emoteUrl = `https://barbarian.men/macaw45/emotes/thirdParty/${emoteId}`;
-      const response = await fetch(emoteUrl);
-      
-      if (response.ok) {
-        const contentType = response.headers.get('content-type');
-        if (contentType) {
-          res.set('Content-Type', contentType);
-        }
-        res.set('Cache-Control', 'public, max-age=86400');
-        return response.body.pipe(res);
+      if (await serveCached(req, res, `emotes/thirdParty/${emoteId}`, { cacheControl: 'public, max-age=86400' })) {
+        return;
       }
     }
     
     // Check if it's a first-party emote
     if (firstPartyEmotes[emoteName]) {
       const emoteId = firstPartyEmotes[emoteName];
-      const emoteUrl = `https://barbarian.men/macaw45/emotes/firstParty/${emoteId}`;
-      const response = await fetch(emoteUrl);
-      
-      if (response.ok) {
-        const contentType = response.headers.get('content-type');
-        if (contentType) {
-          res.set('Content-Type', contentType);
-        }
-        res.set('Cache-Control', 'public, max-age=86400');
-        return response.body.pipe(res);
+      if (await serveCached(req, res, `emotes/firstParty/${emoteId}`, { cacheControl: 'public, max-age=86400' })) {
+        return;
       }
     }
     
     return res.status(404).send('Emote not found');
   } catch (error) {
-    console.error('Error looking up emote:', error);
+    logger.error('Error looking up emote', { error });
     res.status(500).send('Error fetching emote');
   }
 });
 
-app.get('/api/sync', async (req, res) => {
+async function loadClips() {
+  try {
+    const stored = JSON.parse(await fs.readFile(CLIPS_FILE, 'utf8'));
+    stored.forEach(clip => clips.set(clip.id, clip));
+    logger.info('Loaded clips', { clips: clips.size });
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error('Failed to load clips', { error });
+    }
+  }
+}
+
+// Writes are queued so concurrent saves can't interleave or finish out of order
+function saveClips() {
+  const result = clipsWriteQueue.then(async () => {
+    const tmpFile = `${CLIPS_FILE}.${process.pid}.tmp`;
+    await fs.writeFile(tmpFile, JSON.stringify(Array.from(clips.values())));
+    await fs.rename(tmpFile, CLIPS_FILE);
+  });
+  clipsWriteQueue = result.catch(() => {});
+  return result;
+}
+
+function presentClip(clip) {
+  const video = getVideoByVodId(clip.videoId);
+  return {
+    ...clip,
+    videoTitle: video ? presentVideo(video).title : null,
+    videoDate: video ? presentVideo(video).date : null
+  };
+}
+
+// Query parameters: videoId to only list one VOD's clips, limit (newest first)
+app.get('/api/clips', (req, res) => {
+  const limit = Math.max(1, Math.min(CLIPS_LIST_LIMIT, parseInt(req.query.limit) || 20));
+  const results = Array.from(clips.values())
+    .filter(clip => !req.query.videoId || clip.videoId === req.query.videoId)
+    .slice(-limit)
+    .reverse()
+    .map(presentClip);
+  
+  res.json({ clips: results, total: clips.size });
+});
+
+// Clip exports go through the range endpoints so they share caching and limits
+app.get('/api/clips/:clipId/playlist.m3u8', (req, res) => {
+  const clip = clips.get(req.params.clipId);
+  if (!clip) {
+    return res.status(404).json({ error: 'Clip not found' });
+  }
+  res.redirect(`/api/export/${clip.videoId}/playlist.m3u8?start=${clip.start}&end=${clip.end}`);
+});
+
+app.get('/api/clips/:clipId/download', (req, res) => {
+  const clip = clips.get(req.params.clipId);
+  if (!clip) {
+    return res.status(404).json({ error: 'Clip not found' });
+  }
+  res.redirect(`/api/export/${clip.videoId}/download?start=${clip.start}&end=${clip.end}`);
+});
+
+app.get('/api/clips/:clipId/chat.:format(json|html)', (req, res) => {
+  const clip = clips.get(req.params.clipId);
+  if (!clip) {
+    return res.status(404).json({ error: 'Clip not found' });
+  }
+  res.redirect(`/api/export/${clip.videoId}/chat.${req.params.format}?start=${clip.start}&end=${clip.end}`);
+});
+
+app.get('/api/clips/:clipId', (req, res) => {
+  const clip = clips.get(req.params.clipId);
+  if (!clip) {
+    return res.status(404).json({ error: 'Clip not found' });
+  }
+  res.json(presentClip(clip));
+});
+
+// Record a clip creation for this address; returns seconds to wait if it's over the limit, else 0
+function takeClipRateLimit(address) {
+  const now = Date.now();
+  const recent = (clipRateLimits.get(address) || []).filter(at => now - at < CLIP_RATE_WINDOW);
+  if (recent.length >= CLIP_RATE_LIMIT) {
+    clipRateLimits.set(address, recent);
+    return Math.ceil((recent[0] + CLIP_RATE_WINDOW - now) / 1000);
+  }
+  
+  recent.push(now);
+  clipRateLimits.set(address, recent);
+  
+  // Forget addresses whose window has passed so the map doesn't grow forever
+  if (clipRateLimits.size > 1000) {
+    clipRateLimits.forEach((times, key) => {
+      if (now - times[times.length - 1] >= CLIP_RATE_WINDOW) clipRateLimits.delete(key);
+    });
+  }
+  return 0;
+}
+
+// Body: { videoId, start, end, title } with start and end in seconds
+app.post('/api/clips', express.json({ limit: '10kb' }), async (req, res) => {
+  try {
+    const { videoId, title } = req.body || {};
+    const start = Math.round(Number(req.body && req.body.start) * 10) / 10;
+    const end = Math.round(Number(req.body && req.body.end) * 10) / 10;
+    
+    const video = typeof videoId === 'string' ? getVideoByVodId(videoId) : null;
+    if (!video || video.removed) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+      return res.status(400).json({ error: 'start and end must be seconds with start < end' });
+    }
+    if (end - start > CLIP_MAX_LENGTH) {
+      return res.status(400).json({ error: `Clips can be at most ${CLIP_MAX_LENGTH} seconds long` });
+    }
+    if (video.duration && end > video.duration + 1) {
+      return res.status(400).json({ error: 'Clip ends after the video does' });
+    }
+    if (title !== undefined && typeof title !== 'string') {
+      return res.status(400).json({ error: 'title must be a string' });
+    }
+    if (title && title.trim().length > CLIP_TITLE_MAX_LENGTH) {
+      return res.status(400).json({ error: `title can be at most ${CLIP_TITLE_MAX_LENGTH} characters` });
+    }
+    if (clips.size >= CLIPS_MAX) {
+      logger.warn('Clip limit reached', { clips: clips.size });
+      return res.status(507).json({ error: 'No more clips can be saved' });
+    }
+    
+    const retryAfter = takeClipRateLimit(req.ip);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `Too many clips, try again in ${retryAfter}s` });
+    }
+    
+    const clip = {
+      id: crypto.randomBytes(6).toString('base64url'),
+      videoId: video.vodid,
+      start,
+      end,
+      title: (title || '').trim() || `Clip of ${presentVideo(video).title}`.substring(0, CLIP_TITLE_MAX_LENGTH),
+      createdAt: new Date().toISOString()
+    };
+    
+    clips.set(clip.id, clip);
+    await saveClips();
+    
+    logger.info('Created clip', { clipId: clip.id, videoId: clip.videoId, start, end });
+    res.status(201).json(presentClip(clip));
+  } catch (error) {
+    logger.error('Error creating clip', { error });
+    res.status(500).json({ error: 'Failed to save clip' });
+  }
+});
+
+// Sync used to be an open GET; point old bookmarks and cron jobs at the admin API
+app.get('/api/sync', (req, res) => {
+  res.status(410).json({ error: 'Manual sync has moved to POST /api/admin/sync' });
+});
+
+function safeEqual(a, b) {
+  // Compare digests so neither the content nor the length leaks through timing
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Keep event stream tokens out of the logs
+function redactUrl(url) {
+  return url.replace(/([?&]token=)[^&]*/g, '$1[redacted]');
+}
+
+function signSyncEventsToken(expiresAt) {
+  return crypto.createHmac('sha256', SYNC_EVENTS_TOKEN_SECRET).update(`sync-events:${expiresAt}`).digest('hex');
+}
+
+// Tokens are "<expiry ms>.<signature>", so nothing has to be stored; a restart invalidates them all
+function createSyncEventsToken() {
+  const expiresAt = Date.now() + SYNC_EVENTS_TOKEN_TTL;
+  return { token: `${expiresAt}.${signSyncEventsToken(expiresAt)}`, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+function isValidSyncEventsToken(token) {
+  const [expiresAt, signature] = String(token).split('.');
+  if (!signature || !(parseInt(expiresAt) > Date.now())) return false;
+  return safeEqual(signature, signSyncEventsToken(expiresAt));
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN && !(ADMIN_USER && ADMIN_PASSWORD)) {
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+  
+  const authorization = req.headers.authorization || '';
+  
+  if (ADMIN_TOKEN && authorization.startsWith('Bearer ')) {
+    if (safeEqual(authorization.substring(7), ADMIN_TOKEN)) {
+      return next();
+    }
+  }
+  
+  if (ADMIN_USER && ADMIN_PASSWORD && authorization.startsWith('Basic ')) {
+    const decoded = Buffer.from(authorization.substring(6), 'base64').toString();
+    const separator = decoded.indexOf(':');
+    const user = decoded.substring(0, separator);
+    const password = decoded.substring(separator + 1);
+    // Evaluate both so a wrong user takes as long as a wrong password
+    const userMatches = safeEqual(user, ADMIN_USER);
+    const passwordMatches = safeEqual(password, ADMIN_PASSWORD);
+    if (separator >= 0 && userMatches && passwordMatches) {
+      return next();
+    }
+  }
+  
+  logger.warn('Rejected admin request', { method: req.method, path: redactUrl(req.originalUrl) });
+  if (ADMIN_USER && ADMIN_PASSWORD) {
+    res.set('WWW-Authenticate', 'Basic realm="VOD Archive Admin"');
+  }
+  res.status(401).json({ error: 'Unauthorized' });
+}
+
+app.use('/api/admin', requireAdmin, express.json());
+
+app.post('/api/admin/sync', async (req, res) => {
   try {
-    console.log('Manual sync triggered');
-    await syncMetadata();
-    await loadEmoteMappings(); // Also refresh emote mappings
-    res.json({ message: 'Sync completed - updated metadata and emote mappings' });
+    if (currentSync) {
+      return res.status(409).json({ error: 'A sync is already in progress' });
+    }
+    
+    const sinceLastTrigger = Date.now() - lastManualSyncAt;
+    if (sinceLastTrigger < ADMIN_SYNC_COOLDOWN) {
+      const retryAfter = Math.ceil((ADMIN_SYNC_COOLDOWN - sinceLastTrigger) / 1000);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `Sync was triggered recently, try again in ${retryAfter}s` });
+    }
+    
+    lastManualSyncAt = Date.now();
+    logger.info('Manual sync triggered');
+    const result = await runFullSync('manual');
+    
+    if (result.status === 'failed') {
+      return res.status(502).json({ error: `Sync failed: ${result.errors[0].message}`, sync: result });
+    }
+    res.json({ message: 'Sync completed - updated metadata and emote mappings', sync: result });
   } catch (error) {
-    console.error('Manual sync failed:', error);
+    logger.error('Manual sync failed', { error });
     res.status(500).json({ error: 'Sync failed' });
   }
 });
 
+app.get('/api/admin/sync/last', (req, res) => {
+  res.json({ running: Boolean(currentSync), lastSync: getLastJob('sync') });
+});
+
+app.get('/api/sync/status', requireAdmin, (req, res) => {
+  res.json({
+    running: Array.from(runningJobs.values()),
+    last: {
+      sync: getLastJob('sync'),
+      durationBackfill: getLastJob('duration-backfill'),
+      chatIndex: getLastJob('chat-index')
+    }
+  });
+});
+
+app.get('/api/sync/history', requireAdmin, (req, res) => {
+  const limit = Math.max(1, Math.min(SYNC_HISTORY_LIMIT, parseInt(req.query.limit) || 20));
+  const jobs = jobHistory
+    .filter(job => !req.query.type || job.type === req.query.type)
+    .slice(-limit)
+    .reverse();
+  
+  res.json({ jobs });
+});
+
+// For EventSource clients: a token for /api/sync/events?token=, valid for opening the stream for a minute
+app.post('/api/admin/sync/events-token', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json(createSyncEventsToken());
+});
+
+// Accepts the usual admin Authorization header, or ?token= from /api/admin/sync/events-token
+function requireSyncEventsAuth(req, res, next) {
+  if (typeof req.query.token === 'string' && isValidSyncEventsToken(req.query.token)) {
+    return next();
+  }
+  requireAdmin(req, res, next);
+}
+
+// Server-Sent Events: "started", "progress" and "finished" events carry the job as JSON.
+// A token only has to be valid when the stream opens; EventSource reconnects after it expires need a new one.
+app.get('/api/sync/events', requireSyncEventsAuth, (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  // Bring a new watcher up to date with whatever is already running
+  runningJobs.forEach(job => res.write(`event: progress\ndata: ${JSON.stringify(job)}\n\n`));
+  
+  jobEventClients.add(res);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 30 * 1000);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    jobEventClients.delete(res);
+  });
+});
+
+app.post('/api/admin/videos/:videoId/duration', async (req, res) => {
+  try {
+    const key = getVideoKey(req.params.videoId);
+    if (!key) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    const video = getVideo(key);
+    const lastAttempt = new Date().toISOString();
+    let probed;
+    
+    try {
+      const duration = await probeVideoDuration(video.vodid);
+      probed = { duration, durationProbe: { attempts: 1, lastAttempt, verified: true } };
+    } catch (error) {
+      probed = { durationProbe: { attempts: 1, lastAttempt, nextAttempt: lastAttempt, lastError: error.message } };
+    }
+    
+    const updated = await updateVideo(key, current => (current && current.vodid === video.vodid ? { ...current, ...probed } : null));
+    if (!updated) {
+      return res.status(409).json({ error: 'Video changed during the probe, try again' });
+    }
+    
+    if (updated.durationProbe.lastError) {
+      return res.status(502).json({ error: `Duration probe failed: ${updated.durationProbe.lastError}`, video: presentVideo(updated) });
+    }
+    res.json({ video: presentVideo(updated) });
+  } catch (error) {
+    logger.error('Error re-probing duration', { error });
+    res.status(500).json({ error: 'Failed to re-probe duration' });
+  }
+});
+
+app.delete('/api/admin/clips/:clipId', async (req, res) => {
+  try {
+    const clip = clips.get(req.params.clipId);
+    if (!clip) {
+      return res.status(404).json({ error: 'Clip not found' });
+    }
+    
+    clips.delete(clip.id);
+    await saveClips();
+    
+    logger.info('Deleted clip', { clipId: clip.id, videoId: clip.videoId });
+    res.json({ deleted: clip.id });
+  } catch (error) {
+    logger.error('Error deleting clip', { error });
+    res.status(500).json({ error: 'Failed to delete clip' });
+  }
+});
+
+app.patch('/api/admin/videos/:videoId', async (req, res) => {
+  try {
+    const key = getVideoKey(req.params.videoId);
+    if (!key) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    
+    const body = req.body || {};
+    const unknownFields = Object.keys(body).filter(field => !OVERRIDABLE_VIDEO_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+      return res.status(400).json({ error: `Cannot override: ${unknownFields.join(', ')}` });
+    }
+    if (body.date && isNaN(new Date(body.date).getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+    
+    const updated = await updateVideo(key, current => {
+      if (!current) return null;
+      const overrides = { ...(current.overrides || {}) };
+      
+      // null or an empty string clears an override and falls back to the upstream value
+      Object.entries(body).forEach(([field, value]) => {
+        if (value === null || value === '') {
+          delete overrides[field];
+        } else {
+          overrides[field] = String(value);
+        }
+      });
+      
+      const video = { ...current, lastUpdated: new Date().toISOString() };
+      if (Object.keys(overrides).length > 0) {
+        video.overrides = overrides;
+      } else {
+        delete video.overrides;
+      }
+      return video;
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+    logger.info('Updated video overrides', { videoId: updated.vodid, overrides: updated.overrides || {} });
+    res.json({ video: presentVideo(updated) });
+  } catch (error) {
+    logger.error('Error updating video overrides', { error });
+    res.status(500).json({ error: 'Failed to update video' });
+  }
+});
+
+// Admin-only, like the rest of the job status routes
+app.get('/api/durations/backfill', requireAdmin, (req, res) => {
+  const pending = [];
+  const failed = [];
+  
+  for (const video of videoStore.values()) {
+    if (!needsDurationBackfill(video)) continue;
+    
+    const probe = video.durationProbe || {};
+    const entry = {
+      vodid: video.vodid,
+      title: video.title,
+      duration: video.duration,
+      attempts: probe.attempts || 0,
+      lastAttempt: probe.lastAttempt || null,
+      nextAttempt: probe.nextAttempt || null,
+      lastError: probe.lastError || null
+    };
+    
+    if (entry.attempts >= DURATION_BACKFILL_MAX_ATTEMPTS) {
+      failed.push(entry);
+    } else {
+      pending.push(entry);
+    }
+  }
+  
+  res.json({ running: durationBackfillRunning, pending, failed });
+});
+
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'ok', 
@@ -473,6 +3418,96 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// Check that the upstream index can be fetched; cached briefly so probes don't hammer upstream
+async function checkUpstream() {
+  if (upstreamCheck && Date.now() - upstreamCheck.checkedAt < UPSTREAM_CHECK_TTL) {
+    return upstreamCheck;
+  }
+  
+  const startedAt = Date.now();
+  let result;
+  try {
+    const response = await fetchUpstream('videos.json', { method: 'HEAD', timeout: UPSTREAM_CHECK_TIMEOUT });
+    result = { reachable: response.ok, status: response.status };
+  } catch (error) {
+    result = { reachable: false, error: error.message };
+  }
+  
+  upstreamCheck = { ...result, latencyMs: Date.now() - startedAt, checkedAt: Date.now() };
+  return upstreamCheck;
+}
+
+function getLastSuccessfulSync() {
+  for (let i = jobHistory.length - 1; i >= 0; i--) {
+    if (jobHistory[i].type === 'sync' && jobHistory[i].status === 'completed') {
+      return jobHistory[i];
+    }
+  }
+  return null;
+}
+
+// Readiness: 503 unless there is metadata to list and somewhere to serve video from.
+// Empty emote maps only degrade chat rendering, so they are reported without failing.
+app.get('/api/ready', async (req, res) => {
+  const upstream = await checkUpstream();
+  const lastSuccessfulSync = getLastSuccessfulSync();
+  const videoCount = getAllVideos().filter(video => !video.removed).length;
+  const emotes = {
+    firstParty: Object.keys(firstPartyEmotes).length,
+    thirdParty: Object.keys(thirdPartyEmotes).length,
+    cheerProviders: Object.keys(global.cheersData || {}).length
+  };
+  
+  const checks = {
+    metadata: { ok: videoCount > 0, videos: videoCount, total: videoStore.size },
+    emotes: { ok: emotes.firstParty > 0 || emotes.thirdParty > 0, ...emotes },
+    // Offline mode serves from the cache alone, so an unreachable upstream is expected there
+    upstream: {
+      ok: upstream.reachable || (OFFLINE && cacheEntries.size > 0),
+      url: UPSTREAM_IS_LOCAL ? UPSTREAM_DIR : UPSTREAM,
+      offline: OFFLINE,
+      ...upstream,
+      checkedAt: new Date(upstream.checkedAt).toISOString()
+    },
+    sync: {
+      ok: Boolean(lastSuccessfulSync),
+      running: Boolean(currentSync),
+      lastSuccessAt: lastSuccessfulSync ? lastSuccessfulSync.finishedAt : null,
+      lastStatus: getLastJob('sync') ? getLastJob('sync').status : null
+    },
+    cache: {
+      ok: true,
+      enabled: CACHE_ENABLED,
+      entries: cacheEntries.size,
+      bytes: cacheTotalBytes,
+      maxBytes: CACHE_MAX_BYTES,
+      ...cacheStats,
+      chatSeconds: chatSecondCache.size
+    }
+  };
+  
+  const ready = checks.metadata.ok && checks.upstream.ok;
+  const degraded = Object.values(checks).some(check => !check.ok);
+  
+  res.status(ready ? 200 : 503).json({
+    status: ready ? (degraded ? 'degraded' : 'ready') : 'not ready',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    checks
+  });
+});
+
+app.get('/metrics', (req, res) => {
+  getMetricSeries('cache_entries', {}).value = cacheEntries.size;
+  getMetricSeries('cache_bytes', {}).value = cacheTotalBytes;
+  getMetricSeries('cache_lookups_total', { result: 'hit' }).value = cacheStats.hits;
+  getMetricSeries('cache_lookups_total', { result: 'miss' }).value = cacheStats.misses;
+  getMetricSeries('cache_evictions_total', {}).value = cacheStats.evictions;
+  
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
 app.get('*', (req, res) => {
   if (req.path.startsWith('/api/')) {
     return res.status(404).json({ error: 'API endpoint not found' });
@@ -482,7 +3517,15 @@ app.get('*', (req, res) => {
 });
 
 app.use((err, req, res, next) => {
-  console.error('Server error:', err);
+  // Body parser failures (malformed JSON, oversized bodies) carry a 4xx status and are the client's fault
+  if (err.status >= 400 && err.status < 500) {
+    logger.warn('Rejected request', { status: err.status, error: err.message });
+    return res.status(err.status).json({
+      error: err.type === 'entity.parse.failed' ? 'Request body is not valid JSON' : err.message
+    });
+  }
+  
+  logger.error('Server error', { error: err });
   res.status(500).json({ 
     error: 'Internal server error',
     message: process.env.NODE_ENV === 'development' ? err.message : 'Something went wrong'
@@ -490,21 +3533,34 @@ app.use((err, req, res, next) => {
 });
 
 async function startup() {
-  console.log('Starting VOD Archive server...');
+  logger.info('Starting VOD Archive server', {
+    upstream: UPSTREAM_IS_LOCAL ? UPSTREAM_DIR : UPSTREAM,
+    upstreamType: UPSTREAM_IS_LOCAL ? 'local' : 'http',
+    offline: OFFLINE
+  });
+  
+  await loadCacheIndex();
+  await openMetadataStore();
+  await loadJobHistory();
+  await loadChatIndex();
+  await loadClips();
   
-  await syncMetadata();
-  await loadEmoteMappings(); // Load emote mappings
+  // Chat indexing makes one request per chat second, so the sync leaves it running in the background
+  await runFullSync('startup');
   
   // Schedule both metadata and emote syncing every hour
-  setInterval(async () => {
-    await syncMetadata();
-    await loadEmoteMappings();
-  }, 60 * 60 * 1000);
-  console.log('Scheduled hourly metadata and emote sync');
+  setInterval(() => runFullSync('scheduled'), 60 * 60 * 1000);
+  logger.info('Scheduled hourly metadata, emote and chat index sync');
+  
+  runDurationBackfill();
+  setInterval(runDurationBackfill, DURATION_BACKFILL_INTERVAL);
   
   app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
+    logger.info('Server running', { url: `http://localhost:${PORT}` });
   });
 }
 
-startup().catch(console.error);
\ No newline at end of file
+startup().catch(error => {
+  logger.error('Startup failed', { error });
+  process.exitCode = 1;
+});
\ No newline at end of file
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { startUpstream, startArchive, waitFor } = require('./helpers');
+
+const THUMBNAIL = Buffer.from('RIFF\x10\x00\x00\x00WEBPVP8 fake thumbnail');
+const SEGMENT = Buffer.alloc(188 * 4, 0x47);
+
+function listCachedFiles(archive) {
+  const cacheDir = path.join(archive.dataDir, 'cache');
+  return fs.readdirSync(cacheDir).filter(file => file.endsWith('.bin')).map(file => path.join(cacheDir, file));
+}
+
+test('cached files that disappear are refetched from upstream', async t => {
+  const upstream = await startUpstream({
+    'videos.json': '[]',
+    'tn/small/123.webp': THUMBNAIL,
+    'videos/v123.m3u8': '#EXTM3U\n#EXT-X-TARGETDURATION:10\n#EXTINF:10.0,\nv123/0.ts\n#EXT-X-ENDLIST\n',
+    'videos/v123/0.ts': SEGMENT
+  });
+  const archive = await startArchive(upstream.url);
+  t.after(async () => {
+    await archive.stop();
+    upstream.close();
+  });
+
+  const warm = async url => {
+    const response = await fetch(`${archive.url}${url}`);
+    await response.arrayBuffer();
+  };
+
+  await t.test('thumbnails', async () => {
+    await warm('/api/thumbnail/small/123');
+    await waitFor(() => listCachedFiles(archive).length > 0);
+    listCachedFiles(archive).forEach(file => fs.unlinkSync(file));
+
+    const response = await fetch(`${archive.url}/api/thumbnail/small/123`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('x-cache'), 'MISS');
+    assert.deepStrictEqual(Buffer.from(await response.arrayBuffer()), THUMBNAIL);
+  });
+
+  await t.test('range requests', async () => {
+    await waitFor(() => listCachedFiles(archive).length > 0);
+    listCachedFiles(archive).forEach(file => fs.unlinkSync(file));
+
+    const response = await fetch(`${archive.url}/api/thumbnail/small/123`, { headers: { Range: 'bytes=0-3' } });
+    assert.ok(response.status < 500, `unexpected status ${response.status}`);
+    await response.arrayBuffer();
+  });
+
+  await t.test('exported downloads', async () => {
+    const before = new Set(listCachedFiles(archive));
+    await warm('/api/segment/v123/0.ts');
+    await waitFor(() => listCachedFiles(archive).some(file => !before.has(file)));
+    listCachedFiles(archive).forEach(file => fs.unlinkSync(file));
+
+    const response = await fetch(`${archive.url}/api/export/123/download?start=0&end=5`);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(Buffer.from(await response.arrayBuffer()), SEGMENT);
+  });
+
+  assert.strictEqual(archive.child.exitCode, null, `server exited:\n${archive.getOutput()}`);
+});
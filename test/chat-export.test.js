@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { startUpstream, startArchive, waitFor } = require('./helpers');
+
+const BADGES = [{ _id: 'subscriber', version: '12' }];
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const FRAGMENTS = [{ text: 'hi ', emoticon: null }, { text: 'Kappa', emoticon: { emoticon_id: '25' } }];
+
+test('chat transcripts come from the index or stay within the chat range limit', async t => {
+  const upstream = await startUpstream({
+    'videos.json': JSON.stringify({
+      1: { vodid: '111', title: 'Indexed stream', date: '2024-01-05' },
+      2: { vodid: '222', title: 'Stream indexed by an older version', date: '2024-02-10' }
+    }),
+    'comments/222/timecodes.json': '[7]',
+    'comments/222/7.json': JSON.stringify([{
+      commenter: { display_name: 'fan' },
+      message: { display_name: 'fan', body: 'hi Kappa', user_color: '#00ff00', user_badges: BADGES, fragments: FRAGMENTS }
+    }]),
+    // Listed videos get indexed in the background, so these stay as written below
+    'comments/333/timecodes.json': '[5]',
+    'comments/333/5.json': JSON.stringify([{ commenter: { display_name: 'viewer' }, message: { body: 'hello' } }]),
+    'comments/444/timecodes.json': '[5, 6]',
+    'emotes/firstParty/25': PNG,
+    'emotes/twitchBadges/subscriber/12': PNG
+  });
+  const chatIndexDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vod-archive-chat-index-'));
+  const writeEntry = (videoId, entry) => fs.writeFileSync(path.join(chatIndexDir, `${videoId}.json`), JSON.stringify(entry));
+  writeEntry('111', {
+    version: 2,
+    indexedAt: '2024-03-01T00:00:00.000Z',
+    seconds: 2,
+    messages: [
+      { t: 10, user: 'early', text: 'hi Kappa', color: '#ff0000', badges: BADGES, fragments: FRAGMENTS },
+      { t: 3000, user: 'late', text: 'last' }
+    ]
+  });
+  writeEntry('222', { indexedAt: '2024-03-01T00:00:00.000Z', messages: [{ t: 7, user: 'fan', text: 'hi Kappa' }] });
+  writeEntry('444', { version: 2, indexedAt: '2024-03-01T00:00:00.000Z', seconds: 1, messages: [{ t: 5, user: 'viewer', text: 'hello' }] });
+  const archive = await startArchive(upstream.url, { CHAT_INDEX_DIR: chatIndexDir });
+  t.after(async () => {
+    await archive.stop();
+    upstream.close();
+    fs.rmSync(chatIndexDir, { recursive: true, force: true });
+  });
+
+  await t.test('indexed videos export any range with what the sidebar renders', async () => {
+    const response = await fetch(`${archive.url}/api/export/111/chat.json?start=0&end=3600`);
+    assert.strictEqual(response.status, 200);
+    const [first, last] = (await response.json()).messages;
+    assert.deepStrictEqual(first, {
+      video_timestamp: 10,
+      commenter: { display_name: 'early' },
+      message: { display_name: 'early', body: 'hi Kappa', user_color: '#ff0000', user_badges: BADGES, fragments: FRAGMENTS }
+    });
+    assert.deepStrictEqual(last.message.fragments, [{ text: 'last', emoticon: null }]);
+
+    const html = await (await fetch(`${archive.url}/api/export/111/chat.html?start=0&end=3600`)).text();
+    assert.match(html, /color: #ff0000/);
+    assert.match(html, /<img class="chat-badge" src="data:image\/png;base64,[^"]+" alt="" title="subscriber">/);
+    assert.match(html, /<img class="chat-emote" src="data:image\/png;base64,[^"]+" alt="Kappa"/);
+  });
+
+  await t.test('entries from older index versions are rebuilt with rendering data', async () => {
+    const readEntry = () => JSON.parse(fs.readFileSync(path.join(chatIndexDir, '222.json'), 'utf8'));
+    await waitFor(() => readEntry().version === 2, 5000);
+    assert.deepStrictEqual(readEntry().messages, [
+      { t: 7, user: 'fan', text: 'hi Kappa', color: '#00ff00', badges: BADGES, fragments: FRAGMENTS }
+    ]);
+  });
+
+  await t.test('unindexed or incompletely indexed videos are limited to the chat range', async () => {
+    for (const url of ['/api/export/333/chat.json', '/api/export/333/chat.html', '/api/export/444/chat.json']) {
+      const response = await fetch(`${archive.url}${url}?start=0&end=3600`);
+      assert.strictEqual(response.status, 400, url);
+    }
+
+    const response = await fetch(`${archive.url}/api/export/333/chat.json?start=0&end=300`);
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual((await response.json()).messages.map(msg => msg.message.body), ['hello']);
+  });
+});
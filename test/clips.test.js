@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startUpstream, startArchive } = require('./helpers');
+
+const VIDEOS = { 1: { vodid: '111', title: 'First stream', description: '', date: '2024-01-05' } };
+
+function createClip(archive, body) {
+  return fetch(`${archive.url}/api/clips`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ videoId: '111', start: 0, end: 10, ...body })
+  });
+}
+
+test('clip creation is validated and limited', async t => {
+  const upstream = await startUpstream({ 'videos.json': JSON.stringify(VIDEOS) });
+  t.after(() => upstream.close());
+
+  await t.test('rejects titles over the limit', async t => {
+    const archive = await startArchive(upstream.url);
+    t.after(() => archive.stop());
+
+    assert.strictEqual((await createClip(archive, { title: 'x'.repeat(101) })).status, 400);
+    const response = await createClip(archive, { title: 'x'.repeat(100) });
+    assert.strictEqual(response.status, 201);
+    assert.strictEqual((await response.json()).title.length, 100);
+  });
+
+  await t.test('rejects malformed JSON bodies', async t => {
+    const archive = await startArchive(upstream.url);
+    t.after(() => archive.stop());
+
+    const response = await fetch(`${archive.url}/api/clips`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"videoId": "111",'
+    });
+    assert.strictEqual(response.status, 400);
+    assert.deepStrictEqual(await response.json(), { error: 'Request body is not valid JSON' });
+  });
+
+  await t.test('rate limits each address', async t => {
+    const archive = await startArchive(upstream.url);
+    t.after(() => archive.stop());
+
+    for (let i = 0; i < 10; i++) {
+      assert.strictEqual((await createClip(archive, { title: `Clip ${i}` })).status, 201);
+    }
+    const response = await createClip(archive, { title: 'One too many' });
+    assert.strictEqual(response.status, 429);
+    assert.ok(parseInt(response.headers.get('retry-after')) > 0);
+  });
+
+  await t.test('stops at the maximum number of clips', async t => {
+    const archive = await startArchive(upstream.url, { CLIPS_MAX: '2' });
+    t.after(() => archive.stop());
+
+    assert.strictEqual((await createClip(archive, {})).status, 201);
+    assert.strictEqual((await createClip(archive, {})).status, 201);
+    assert.strictEqual((await createClip(archive, {})).status, 507);
+
+    const list = await (await fetch(`${archive.url}/api/clips`)).json();
+    assert.strictEqual(list.total, 2);
+  });
+});
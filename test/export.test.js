@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startUpstream, startArchive } = require('./helpers');
+
+const FMP4_PLAYLIST = [
+  '#EXTM3U',
+  '#EXT-X-VERSION:7',
+  '#EXT-X-TARGETDURATION:10',
+  '#EXT-X-MEDIA-SEQUENCE:5',
+  '#EXT-X-KEY:METHOD=AES-128,URI="key.bin"',
+  '#EXT-X-MAP:URI="init.mp4"',
+  '#EXTINF:10.0,',
+  '0.m4s',
+  '#EXTINF:10.0,',
+  '1.m4s',
+  '#EXT-X-ENDLIST',
+  ''
+].join('\n');
+
+test('exports keep keys and init segments, and need both bounds', async t => {
+  const upstream = await startUpstream({
+    'videos.json': '[]',
+    'videos/v123.m3u8': FMP4_PLAYLIST
+  });
+  const archive = await startArchive(upstream.url);
+  t.after(async () => {
+    await archive.stop();
+    upstream.close();
+  });
+
+  await t.test('trimmed playlists repeat the key and map in effect', async () => {
+    const response = await fetch(`${archive.url}/api/export/123/playlist.m3u8?start=12&end=18`);
+    assert.strictEqual(response.status, 200);
+    const lines = (await response.text()).split('\n');
+    assert.ok(lines.includes('#EXT-X-MEDIA-SEQUENCE:6'));
+    assert.ok(lines.includes('#EXT-X-KEY:METHOD=AES-128,URI="/api/segment/key.bin"'));
+    assert.ok(lines.includes('#EXT-X-MAP:URI="/api/segment/init.mp4"'));
+    assert.ok(lines.indexOf('#EXT-X-MAP:URI="/api/segment/init.mp4"') < lines.indexOf('/api/segment/1.m4s'));
+    assert.ok(!lines.includes('/api/segment/0.m4s'));
+  });
+
+  await t.test('encrypted renditions are not downloadable', async () => {
+    const response = await fetch(`${archive.url}/api/export/123/download?start=0&end=5`);
+    assert.strictEqual(response.status, 501);
+  });
+
+  await t.test('rejects empty or repeated bounds', async () => {
+    for (const query of ['?start=&end=5', '?start=0&end=', '?start=%20&end=5', '?start=0&start=1&end=5', '?end=5']) {
+      const response = await fetch(`${archive.url}/api/export/123/playlist.m3u8${query}`);
+      assert.strictEqual(response.status, 400, query);
+    }
+  });
+});
@@ -0,0 +1,120 @@
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { spawn } = require('child_process');
+
+const SERVER_FILE = path.join(__dirname, '..', 'server.js');
+const STARTUP_TIMEOUT = 10000;
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// A throwaway upstream serving files from a temp directory, shaped like the real archive host
+async function startUpstream(files) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'vod-archive-upstream-'));
+  for (const [file, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, file), content);
+  }
+
+  const server = http.createServer((req, res) => {
+    const file = path.join(root, decodeURIComponent(req.url.split('?')[0]));
+    fs.readFile(file, (error, data) => {
+      if (error) {
+        res.statusCode = 404;
+        return res.end('Not found');
+      }
+      res.end(req.method === 'HEAD' ? undefined : data);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    root,
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => {
+      server.close();
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+// Run server.js against an upstream with all of its state in a temp directory; resolves once it's listening
+async function startArchive(upstreamUrl, env = {}) {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vod-archive-data-'));
+  const port = await getFreePort();
+
+  const child = spawn(process.execPath, [SERVER_FILE], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      UPSTREAM: upstreamUrl,
+      CACHE_DIR: path.join(dataDir, 'cache'),
+      METADATA_STORE_DIR: path.join(dataDir, 'metadata-store'),
+      CHAT_INDEX_DIR: path.join(dataDir, 'chat-index'),
+      CLIPS_FILE: path.join(dataDir, 'clips.json'),
+      RENDITIONS_DIR: path.join(dataDir, 'renditions'),
+      LOG_LEVEL: 'info',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server didn't start:\n${output}`)), STARTUP_TIMEOUT);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', chunk => {
+      output += chunk;
+    });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    dataDir,
+    child,
+    getOutput: () => output,
+    stop: () => new Promise(resolve => {
+      if (child.exitCode !== null) {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        return resolve();
+      }
+      child.once('exit', () => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        resolve();
+      });
+      child.kill();
+    })
+  };
+}
+
+async function waitFor(check, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+module.exports = { startUpstream, startArchive, waitFor };
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { startUpstream, startArchive } = require('./helpers');
+
+test('highlights and chat density report incomplete chat indexes as not indexed', async t => {
+  // None of these are listed, so the background chat index build leaves them alone
+  const upstream = await startUpstream({
+    'videos.json': '[]',
+    'comments/333/timecodes.json': '[5]',
+    'comments/444/timecodes.json': '[5]',
+    'comments/555/timecodes.json': '[5, 6]'
+  });
+  const chatIndexDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vod-archive-chat-index-'));
+  const writeEntry = (videoId, entry) => fs.writeFileSync(path.join(chatIndexDir, `${videoId}.json`), JSON.stringify(entry));
+  writeEntry('333', { indexedAt: '2024-03-01T00:00:00.000Z', messages: [] });
+  writeEntry('444', { indexedAt: '2024-03-01T00:00:00.000Z', seconds: 1, messages: [{ t: 5, user: 'viewer', text: 'hello' }] });
+  writeEntry('555', { indexedAt: '2024-03-01T00:00:00.000Z', seconds: 1, messages: [{ t: 5, user: 'viewer', text: 'hello' }] });
+  const archive = await startArchive(upstream.url, { CHAT_INDEX_DIR: chatIndexDir });
+  t.after(async () => {
+    await archive.stop();
+    upstream.close();
+    fs.rmSync(chatIndexDir, { recursive: true, force: true });
+  });
+
+  const getIndexed = async videoId => {
+    const response = await fetch(`${archive.url}/api/chat/${videoId}/highlights`);
+    assert.strictEqual(response.status, 200);
+    return (await response.json()).indexed;
+  };
+
+  assert.strictEqual(await getIndexed('333'), false, 'empty index for a video with chat');
+  assert.strictEqual(await getIndexed('444'), true, 'complete index');
+  assert.strictEqual(await getIndexed('555'), false, 'index covering fewer seconds than the video has');
+  assert.strictEqual(await getIndexed('666'), false, 'no index');
+
+  const getDensity = async videoId => {
+    const response = await fetch(`${archive.url}/api/chat/${videoId}/density`);
+    assert.strictEqual(response.status, 200);
+    const { indexed, source, total } = await response.json();
+    return { indexed, source, total };
+  };
+
+  assert.deepStrictEqual(await getDensity('444'), { indexed: true, source: 'index', total: 1 });
+  // The incomplete index only has second 5; the timecodes still show chat at 5 and 6
+  assert.deepStrictEqual(await getDensity('555'), { indexed: false, source: 'timecodes', total: 2 });
+  assert.deepStrictEqual(await getDensity('333'), { indexed: false, source: 'timecodes', total: 1 });
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const fs = require('fs');
+const { startUpstream, startArchive } = require('./helpers');
+
+test('rendition files are only served from the renditions directory', async t => {
+  const upstream = await startUpstream({ 'videos.json': '[]' });
+  const archive = await startArchive(upstream.url);
+  t.after(async () => {
+    await archive.stop();
+    upstream.close();
+  });
+
+  const renditionsDir = path.join(archive.dataDir, 'renditions');
+  fs.mkdirSync(path.join(renditionsDir, '123'), { recursive: true });
+  fs.writeFileSync(path.join(renditionsDir, '123', '0.ts'), 'segment');
+  fs.writeFileSync(path.join(archive.dataDir, 'secret.txt'), 'secret');
+
+  await t.test('serves files of a rendition', async () => {
+    const response = await fetch(`${archive.url}/api/rendition/123/0.ts`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(await response.text(), 'segment');
+  });
+
+  await t.test('rejects video ids that leave the renditions directory', async () => {
+    for (const videoId of ['..', '..%2F', '..%2F..%2F' + encodeURIComponent(path.basename(archive.dataDir)), '123%2F..%2F..']) {
+      const response = await fetch(`${archive.url}/api/rendition/${videoId}/secret.txt`);
+      assert.strictEqual(response.status, 404, videoId);
+      assert.notStrictEqual(await response.text(), 'secret');
+    }
+  });
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startUpstream, startArchive } = require('./helpers');
+
+test('/api/search/chat rejects repeated parameters', async t => {
+  const upstream = await startUpstream({ 'videos.json': '[]' });
+  const archive = await startArchive(upstream.url);
+  t.after(async () => {
+    await archive.stop();
+    upstream.close();
+  });
+
+  for (const query of ['?q=ab&q=cd', '?q[x]=ab', '?q=ab&limit=1&limit=2']) {
+    const response = await fetch(`${archive.url}/api/search/chat${query}`);
+    assert.strictEqual(response.status, 400, query);
+  }
+
+  const response = await fetch(`${archive.url}/api/search/chat?q=ab`);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).total, 0);
+});
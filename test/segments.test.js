@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startUpstream, startArchive } = require('./helpers');
+
+test('segment paths stay inside videos/ upstream', async t => {
+  const upstream = await startUpstream({
+    'videos.json': '[]',
+    'secret.txt': 'secret',
+    'videos/v123/0.ts': 'segment'
+  });
+  const archive = await startArchive(upstream.url);
+  t.after(async () => {
+    await archive.stop();
+    upstream.close();
+  });
+
+  const response = await fetch(`${archive.url}/api/segment/v123/0.ts`);
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(await response.text(), 'segment');
+
+  for (const filename of ['..%2Fsecret.txt', 'v123%2F..%2F..%2Fsecret.txt', 'v123%5C..%5C..%5Csecret.txt', '%2E%2E%2Fsecret.txt']) {
+    const response = await fetch(`${archive.url}/api/segment/${filename}`);
+    assert.strictEqual(response.status, 400, filename);
+    assert.notStrictEqual(await response.text(), 'secret');
+  }
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startUpstream, startArchive } = require('./helpers');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+test('sync events can be opened with a token, as EventSource has to', async t => {
+  const upstream = await startUpstream({ 'videos.json': '[]' });
+  const archive = await startArchive(upstream.url, { ADMIN_TOKEN });
+  t.after(async () => {
+    await archive.stop();
+    upstream.close();
+  });
+
+  const openEvents = async query => {
+    const controller = new AbortController();
+    const response = await fetch(`${archive.url}/api/sync/events${query}`, { signal: controller.signal });
+    controller.abort();
+    return response;
+  };
+
+  await t.test('rejects requests without credentials', async () => {
+    assert.strictEqual((await openEvents('')).status, 401);
+    assert.strictEqual((await openEvents('?token=123.abc')).status, 401);
+    assert.strictEqual((await openEvents(`?token=${Date.now() + 60000}.abc`)).status, 401);
+  });
+
+  await t.test('only admins get tokens', async () => {
+    const response = await fetch(`${archive.url}/api/admin/sync/events-token`, { method: 'POST' });
+    assert.strictEqual(response.status, 401);
+  });
+
+  await t.test('only admins see the duration backfill', async () => {
+    assert.strictEqual((await fetch(`${archive.url}/api/durations/backfill`)).status, 401);
+    const response = await fetch(`${archive.url}/api/durations/backfill`, {
+      headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+    });
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(Object.keys(await response.json()), ['running', 'pending', 'failed']);
+  });
+
+  await t.test('streams events for a valid token', async () => {
+    const tokenResponse = await fetch(`${archive.url}/api/admin/sync/events-token`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+    });
+    assert.strictEqual(tokenResponse.status, 200);
+    const { token } = await tokenResponse.json();
+
+    const response = await openEvents(`?token=${encodeURIComponent(token)}`);
+    assert.strictEqual(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    // The access log line is written when the stream closes
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.match(archive.getOutput(), /token=\[redacted\]/);
+    assert.doesNotMatch(archive.getOutput(), new RegExp(token.split('.')[1]));
+  });
+});
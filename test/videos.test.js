@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startUpstream, startArchive } = require('./helpers');
+
+test('/api/videos rejects malformed query parameters', async t => {
+  const upstream = await startUpstream({
+    'videos.json': JSON.stringify({
+      1: { vodid: '111', title: 'First stream', description: 'Playing a game', date: '2024-01-05' },
+      2: { vodid: '222', title: 'Second stream', description: 'Long one', date: '2024-02-10' }
+    })
+  });
+  const archive = await startArchive(upstream.url);
+  t.after(async () => {
+    await archive.stop();
+    upstream.close();
+  });
+
+  const getVideos = query => fetch(`${archive.url}/api/videos${query}`);
+
+  await t.test('sorts only by known fields', async () => {
+    for (const sort of ['__proto__', 'constructor', 'toString']) {
+      const response = await getVideos(`?sort=${sort}&order=asc`);
+      assert.strictEqual(response.status, 400, sort);
+    }
+
+    const response = await getVideos('?sort=title&order=asc');
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual((await response.json()).map(video => video.vodid), ['111', '222']);
+  });
+
+  await t.test('rejects repeated parameters', async () => {
+    for (const query of ['?title=a&title=b', '?q=a&q=b', '?sort=date&sort=title', '?order=asc&order=desc', '?from=2024-01-01&from=2024-02-01', '?to[x]=1']) {
+      const response = await getVideos(query);
+      assert.strictEqual(response.status, 400, query);
+    }
+  });
+});